@@ -12,12 +12,18 @@
  *   agent-chrome --help                       Show help
  */
 
-import { getTabs, resolveTab } from '../src/tabs.js';
+import { getTabs, resolveTab, watchNewTabs } from '../src/tabs.js';
 import { connectToTarget, createTab, closeTab, createWindow, closeWindow } from '../src/connection.js';
-import { getSnapshot } from '../src/snapshot.js';
-import { saveRefs, saveTabMap, loadTabMap } from '../src/refs.js';
+import { getSnapshot, findNodes } from '../src/snapshot.js';
+import { readPage } from '../src/reader.js';
+import { readTable, readAllPages, formatTable } from '../src/table.js';
+import { saveRefs, loadRefs, saveTabMap, loadTabMap, saveSnapshotNodes, loadSnapshotNodes, saveHeldKeys, loadHeldKeys } from '../src/refs.js';
+import { diffSnapshots, formatDiff, nodeOptions, optionChanges } from '../src/snapshot-diff.js';
 import { screenshot } from '../src/screenshot.js';
 import * as actions from '../src/actions.js';
+import { parseModifiers, parseChord, keyDown, keyUp, heldKeys, setHeldKeys } from '../src/keyboard.js';
+import { waitFor, describeCondition, LOAD_STATES } from '../src/wait.js';
+import { applyDialogPolicy, pendingDialog, handleDialog, describeDialog, DIALOG_POLICIES } from '../src/dialogs.js';
 import * as network from '../src/network.js';
 import * as consoleMon from '../src/console-log.js';
 import { readFile } from 'node:fs/promises';
@@ -29,8 +35,10 @@ let port = parseInt(process.env.AGENT_CHROME_PORT || '9222', 10);
 let tabArg = undefined;
 let agentId = process.env.AGENT_CHROME_ID || undefined;
 let timeout = parseInt(process.env.AGENT_CHROME_TIMEOUT || '30', 10); // seconds
+let actionTimeout = actions.ACTION_TIMEOUT_MS; // ms
+let onDialog = process.env.AGENT_CHROME_ON_DIALOG || 'report';
 
-// Extract --port, --tab, and --agent-id flags
+// Extract --port, --tab, --agent-id and timeout flags
 const positional = [];
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--port' || args[i] === '-p') {
@@ -41,6 +49,10 @@ for (let i = 0; i < args.length; i++) {
     agentId = args[++i];
   } else if (args[i] === '--timeout') {
     timeout = parseInt(args[++i], 10);
+  } else if (args[i] === '--action-timeout') {
+    actionTimeout = Number(args[++i]);
+  } else if (args[i] === '--on-dialog') {
+    onDialog = args[++i];
   } else if (args[i].startsWith('--port=')) {
     port = parseInt(args[i].split('=')[1], 10);
   } else if (args[i].startsWith('--tab=')) {
@@ -49,6 +61,10 @@ for (let i = 0; i < args.length; i++) {
     agentId = args[i].split('=')[1];
   } else if (args[i].startsWith('--timeout=')) {
     timeout = parseInt(args[i].split('=')[1], 10);
+  } else if (args[i].startsWith('--action-timeout=')) {
+    actionTimeout = Number(args[i].split('=')[1]);
+  } else if (args[i].startsWith('--on-dialog=')) {
+    onDialog = args[i].split('=')[1];
   } else {
     positional.push(args[i]);
   }
@@ -76,22 +92,63 @@ Snapshots:
   snapshot -i, --interactive    Only interactive elements
   snapshot -c, --compact        Remove empty structural elements
   snapshot -ic                  Both interactive and compact
+  snapshot @eN                  Only the subtree under a ref
+  snapshot --selector <css>     Only the subtree under a CSS selector match
+  snapshot --diff               Only what changed since the previous snapshot
+  snapshot --frame-depth N      Expand nested iframes N levels deep (default 3, 0 = off)
+  snapshot --cursor             Also ref elements with click listeners or cursor:pointer
+  snapshot --verbose            Add href, placeholder, invalid, focused, readonly, value range tags
+  snapshot --visible            Only what's in the viewport; off-screen parts summarized
+  snapshot --boxes              Add @(x,y wxh) viewport boxes to ref lines
+  snapshot --max-tokens N       Shrink output to ~N tokens (collapse text, summarize, fold)
+  snapshot --format json        Tree as JSON (role, name, ref, value, states, children)
+  find "text"                   Find elements by name/text and save their refs
+  find "text" --role button     Only elements with that role
+  find "text" --exact           Exact (case-sensitive) name match
+  read [@eN]                    Main content (or a ref's content) as Markdown
+  read --max-chars N            Cut the Markdown at ~N characters
+  table @eN                     Table/grid as CSV, keyed by column headers
+  table @eN --format json|md    As JSON records or a Markdown table
+  table @eN --all-pages         Follow the "Next" button or link (--next <locator>) through all pages
 
 Interactions:
   click @eN                     Click element by ref
+  click @eN --js                Click through element.click() (ignores overlays)
   click <x> <y>                 Click at viewport coordinates (raw mouse event)
+    --button <b>                left (default), right or middle
+    --modifiers <keys>          Hold Alt, Ctrl, Meta and/or Shift (e.g. Ctrl,Shift);
+                                reports tabs opened by Ctrl/Cmd- or middle clicks
+  dblclick <@eN | x y>          Double-click (click, click, dblclick)
+  rightclick <@eN | x y>        Right-click (opens context menus)
   fill @eN "text"               Clear field and type text
   type @eN "text"               Append text to field
+    --keys                      Send key events for every character (typeaheads,
+                                OTP boxes, masked inputs, code editors)
+    --delay <ms>                Pause between keys (with --keys)
   select @eN "value"            Select dropdown option
   check @eN                     Check checkbox/radio
   uncheck @eN                   Uncheck checkbox
   focus @eN                     Focus element
   hover @eN                     Hover element
+  drag @eA @eB                  Drag one element onto another (mouse, or HTML5
+                                drag and drop when the page starts one)
+  drag <x1> <y1> <x2> <y2>      Drag between viewport coordinates
+    --steps <n>                 Mouse moves along the way (default: 10)
+    --modifiers <keys>          Hold Alt, Ctrl, Meta and/or Shift (e.g. Alt,Shift)
   upload @eN <files...>          Upload file(s) to a file input
-  press <key>                   Press key (Enter, Tab, Escape, ArrowDown, ...)
+  press <key>...                Press keys in order (Enter, Tab, Escape, ArrowDown, F5, a, ...)
+  press <chord>                 Press a chord: Control+Shift+K, Shift+Tab, Meta+a
+                                (ControlOrMeta = Cmd on macOS, Ctrl elsewhere)
+    --times <n>                 Press each key n times
+  keydown <key>                 Hold a key down; held modifiers apply to later
+                                clicks and key presses
+  keyup <key>                   Release a held key
   scroll <dir> [px]             Scroll page (up/down/left/right, default 400px)
   scrollintoview @eN            Scroll element into view
 
+  Any @eN can also be a locator, resolved live (must match exactly one element):
+    role=button[name="Submit"]  text="Sign in"  label="Email"  css=#foo  xpath=//a
+
 Network Monitoring:
   network start                 Start capturing network requests
   network stop                  Stop capturing and clean up
@@ -135,15 +192,32 @@ Info:
                                 Send a raw CDP command; prints the JSON result
   cdp <Domain.method> --session <sid>
                                 Target a specific CDP session (e.g. iframe)
+  dialog [status]               Show the open alert/confirm/prompt/beforeunload dialog
+  dialog accept [text]          Accept it (text answers a prompt)
+  dialog dismiss                Dismiss it
   get url                       Get current URL
   get title                     Get page title
   wait <ms>                     Wait milliseconds
+  wait --text <text>            Wait until the page shows text
+  wait --gone <@eN|locator>     Wait until an element is removed or hidden
+  wait --selector <css>         Wait until a CSS selector matches a visible element
+  wait --url <glob>             Wait until the URL matches (e.g. "*/dashboard*")
+  wait --load [state]           Wait for domcontentloaded, load (default) or networkidle
+  wait --fn <js>                Wait until a JS expression or function is truthy
+                                Conditions combine; they wait up to --timeout and
+                                exit non-zero if it runs out
 
 Options:
   --port, -p <port>             Chrome debug port (default: 9222, or AGENT_CHROME_PORT)
   --tab, -t <id>                Target tab (e.g., t1). Omit to use last-used tab.
   --agent-id <id>               Isolate cache for parallel agents (or AGENT_CHROME_ID env)
   --timeout <seconds>           Process timeout (default: 30, or AGENT_CHROME_TIMEOUT env)
+  --action-timeout <ms>         How long ref actions wait for their element to be
+                                attached, visible, stable, enabled and not covered
+                                (default: 5000)
+  --on-dialog <policy>          What to do when a dialog opens: accept, dismiss, or
+                                report (default) — leave it open and report it
+                                (or AGENT_CHROME_ON_DIALOG env)
   --help, -h                    Show this help
 
 Prerequisites:
@@ -165,6 +239,13 @@ if (timeout > 0) {
 
 async function main() {
   try {
+    if (!Number.isInteger(actionTimeout) || actionTimeout <= 0) {
+      error('--action-timeout needs a positive whole number of milliseconds');
+    }
+    if (!DIALOG_POLICIES.includes(onDialog)) {
+      error(`Invalid --on-dialog "${onDialog}". Use ${DIALOG_POLICIES.join(', ')}.`);
+    }
+
     // Commands that don't need a tab connection
     if (command === 'tabs') {
       return await cmdTabs();
@@ -189,34 +270,29 @@ async function main() {
     // All other commands need a tab
     const { targetId, shortId } = await resolveTab(port, tabArg, agentId);
     const client = await connectToTarget(port, targetId);
+    setHeldKeys(client, loadHeldKeys(port, targetId, agentId));
 
     try {
-      switch (command) {
-        case 'snapshot': return await cmdSnapshot(client, targetId, shortId);
-        case 'screenshot': return await cmdScreenshot(client);
-        case 'click': return await cmdClick(client, targetId);
-        case 'fill': return await cmdFill(client, targetId);
-        case 'type': return await cmdType(client, targetId);
-        case 'select': return await cmdSelect(client, targetId);
-        case 'check': return await cmdCheck(client, targetId);
-        case 'uncheck': return await cmdUncheck(client, targetId);
-        case 'focus': return await cmdFocus(client, targetId);
-        case 'hover': return await cmdHover(client, targetId);
-        case 'press': return await cmdPress(client);
-        case 'upload': return await cmdUpload(client, targetId);
-        case 'scroll': return await cmdScroll(client);
-        case 'scrollintoview': return await cmdScrollIntoView(client, targetId);
-        case 'emulate': return await cmdEmulate(client);
-        case 'open': return await cmdOpen(client);
-        case 'back': return await cmdBack(client);
-        case 'forward': return await cmdForward(client);
-        case 'reload': return await cmdReload(client);
-        case 'eval': case 'exec': case 'evaluate': return await cmdEval(client);
-        case 'cdp': return await cmdCdp(client);
-        case 'get': return await cmdGet(client);
-        case 'wait': return await cmdWait();
-        default:
-          error(`Unknown command: ${command}. Run 'agent-chrome --help' for usage.`);
+      // Raw CDP and the dialog command itself see dialogs as they are
+      if (command === 'dialog') return await cmdDialog(client);
+      if (command === 'cdp') return await cmdCdp(client);
+
+      const dialogs = await applyDialogPolicy(client, onDialog);
+      if (onDialog !== 'report') {
+        await runCommand(client, targetId, shortId);
+      } else {
+        const open = pendingDialog(client);
+        if (open) {
+          error(`A ${describeDialog(open)} is open and blocks the page. Run \`agent-chrome dialog accept [text]\` or \`dialog dismiss\`, or pass --on-dialog accept|dismiss.`);
+        }
+        // A dialog blocks the page, so stop waiting on the command when one opens
+        const opened = await Promise.race([runCommand(client, targetId, shortId).then(() => null), dialogs.opened]);
+        if (opened) {
+          console.log(`ℹ ${describeDialog(opened)} opened and is waiting. Run \`agent-chrome dialog accept [text]\` or \`dialog dismiss\`.`);
+        }
+      }
+      for (const dialog of dialogs.handled) {
+        console.log(`ℹ ${dialog.accepted ? 'Accepted' : 'Dismissed'} ${describeDialog(dialog)}`);
       }
     } finally {
       await client.close();
@@ -228,6 +304,46 @@ async function main() {
 
 // ── Command handlers ─────────────────────────────────────────────────
 
+/**
+ * Run a command that needs a tab connection.
+ */
+async function runCommand(client, targetId, shortId) {
+  switch (command) {
+    case 'snapshot': return await cmdSnapshot(client, targetId, shortId);
+    case 'find': return await cmdFind(client, targetId);
+    case 'read': return await cmdRead(client, targetId);
+    case 'table': return await cmdTable(client, targetId);
+    case 'screenshot': return await cmdScreenshot(client, targetId);
+    case 'click': return await cmdClick(client, targetId);
+    case 'dblclick': return await cmdClick(client, targetId, 'dblclick', { clicks: 2 });
+    case 'rightclick': return await cmdClick(client, targetId, 'rightclick', { button: 'right' });
+    case 'fill': return await cmdFill(client, targetId);
+    case 'type': return await cmdType(client, targetId);
+    case 'select': return await cmdSelect(client, targetId);
+    case 'check': return await cmdCheck(client, targetId);
+    case 'uncheck': return await cmdUncheck(client, targetId);
+    case 'focus': return await cmdFocus(client, targetId);
+    case 'hover': return await cmdHover(client, targetId);
+    case 'drag': return await cmdDrag(client, targetId);
+    case 'press': return await cmdPress(client);
+    case 'keydown': return await cmdKeyDown(client, targetId);
+    case 'keyup': return await cmdKeyUp(client, targetId);
+    case 'upload': return await cmdUpload(client, targetId);
+    case 'scroll': return await cmdScroll(client);
+    case 'scrollintoview': return await cmdScrollIntoView(client, targetId);
+    case 'emulate': return await cmdEmulate(client);
+    case 'open': return await cmdOpen(client);
+    case 'back': return await cmdBack(client);
+    case 'forward': return await cmdForward(client);
+    case 'reload': return await cmdReload(client);
+    case 'eval': case 'exec': case 'evaluate': return await cmdEval(client);
+    case 'get': return await cmdGet(client);
+    case 'wait': return await cmdWait(client, targetId);
+    default:
+      error(`Unknown command: ${command}. Run 'agent-chrome --help' for usage.`);
+  }
+}
+
 async function cmdTabs() {
   const { tabs } = await getTabs(port, agentId);
   if (tabs.length === 0) {
@@ -245,46 +361,207 @@ async function cmdSnapshot(client, targetId, shortId) {
   let interactive = false;
   let compact = false;
   let maxDepth = undefined;
+  let frameDepth = undefined;
+  let diff = false;
+  let selector = undefined;
+  let scopeArg = undefined;
+  let format = 'text';
+  let maxTokens = undefined;
+  let visible = false;
+  let boxes = false;
+  let cursor = false;
+  let verbose = false;
 
-  for (const arg of restArgs) {
+  for (let i = 0; i < restArgs.length; i++) {
+    const arg = restArgs[i];
     if (arg === '-i' || arg === '--interactive') interactive = true;
     else if (arg === '-c' || arg === '--compact') compact = true;
     else if (arg === '-ic' || arg === '-ci') { interactive = true; compact = true; }
-    else if (arg === '-d' || arg === '--depth') { /* next arg is depth */ }
-    else if (/^\d+$/.test(arg) && restArgs[restArgs.indexOf(arg) - 1]?.match(/^(-d|--depth)$/)) {
-      maxDepth = parseInt(arg, 10);
-    }
+    else if (arg === '--diff') diff = true;
+    else if (arg === '--visible') visible = true;
+    else if (arg === '--boxes') boxes = true;
+    else if (arg === '--cursor') cursor = true;
+    else if (arg === '--verbose') verbose = true;
+    else if ((arg === '-d' || arg === '--depth') && restArgs[i + 1]) maxDepth = Number(restArgs[++i]);
+    else if (arg === '--frame-depth' && restArgs[i + 1]) frameDepth = Number(restArgs[++i]);
+    else if (arg.startsWith('--frame-depth=')) frameDepth = Number(arg.split('=')[1]);
+    else if (arg === '--selector' && restArgs[i + 1]) selector = restArgs[++i];
+    else if (arg.startsWith('--selector=')) selector = arg.slice('--selector='.length);
+    else if (arg === '--max-tokens' && restArgs[i + 1]) maxTokens = parseInt(restArgs[++i], 10);
+    else if (arg.startsWith('--max-tokens=')) maxTokens = parseInt(arg.split('=')[1], 10);
+    else if (arg === '--format' && restArgs[i + 1]) format = restArgs[++i];
+    else if (arg.startsWith('--format=')) format = arg.slice('--format='.length);
+    else if (!arg.startsWith('-')) scopeArg = arg;
+  }
+  if (format !== 'text' && format !== 'json') {
+    error(`Unknown snapshot format: ${format}. Use text or json.`);
+  }
+  if (maxDepth !== undefined && !isCount(maxDepth)) {
+    error('--depth needs a non-negative whole number');
+  }
+  if (frameDepth !== undefined && !isCount(frameDepth)) {
+    error('--frame-depth needs a non-negative whole number');
   }
 
-  // Handle -d N
-  const dIdx = restArgs.findIndex(a => a === '-d' || a === '--depth');
-  if (dIdx !== -1 && restArgs[dIdx + 1]) {
-    maxDepth = parseInt(restArgs[dIdx + 1], 10);
+  // Scoped snapshots (snapshot @eN / --selector) render one subtree and
+  // aren't a baseline for --diff.
+  const scoped = !!(scopeArg || selector);
+  if (scoped && diff) {
+    error('--diff compares whole-page snapshots; it can\'t be combined with a ref or --selector.');
   }
+  const knownRefs = loadRefs(port, targetId, agentId) || {};
+  const scope = scopeArg ? await actions.resolveRef(client, port, targetId, scopeArg, agentId) : undefined;
 
-  const { tree, refs } = await getSnapshot(client, { interactive, compact, maxDepth });
+  if (maxTokens !== undefined && !(maxTokens > 0)) {
+    error('--max-tokens needs a positive number');
+  }
 
-  // Save refs for subsequent commands
-  saveRefs(port, targetId, refs, agentId);
+  const { tree, refs, refCache, nodes, trimmed } = await getSnapshot(client, {
+    interactive, compact, maxDepth, frameDepth, selector, scope, knownRefs, cursor, verbose, visible, boxes, format, maxTokens,
+  });
+
+  // Save refs for subsequent commands, and this snapshot for the next --diff.
+  // A baseline taken with different options renders a different node set,
+  // so it isn't diffed against.
+  let prevNodes = null;
+  let changedFlags = [];
+  saveRefs(port, targetId, refCache, agentId);
+  if (!scoped) {
+    const options = nodeOptions({ interactive, compact, maxDepth, frameDepth, cursor, verbose });
+    const prev = diff ? loadSnapshotNodes(port, targetId, agentId) : null;
+    if (prev) {
+      changedFlags = prev.options ? optionChanges(prev.options, options) : [];
+      if (changedFlags.length === 0) prevNodes = prev.nodes;
+    }
+    saveSnapshotNodes(port, targetId, { options, nodes }, agentId);
+  }
 
   // Get current URL for context
   const url = await actions.getUrl(client);
 
-  console.log(`[${shortId}] ${url}`);
+  if (format === 'json') {
+    const out = { tab: shortId, url };
+    if (scoped) out.scope = scopeArg || selector;
+    if (trimmed) out.trimmed = true;
+    if (diff && prevNodes) out.diff = diffSnapshots(prevNodes, nodes);
+    else out.tree = tree;
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+
+  console.log(`[${shortId}] ${url}${scoped ? ` (scoped to ${scopeArg || selector})` : ''}`);
+
+  if (diff && prevNodes) {
+    console.log(formatDiff(diffSnapshots(prevNodes, nodes)));
+    return;
+  }
+  if (diff && changedFlags.length > 0) {
+    console.log(`ℹ Previous snapshot was taken with different options (${changedFlags.join(', ')}) — showing full tree`);
+  } else if (diff) {
+    console.log('ℹ No previous snapshot to diff against — showing full tree');
+  }
   console.log(tree);
 
   // Stats
   const refCount = Object.keys(refs).length;
   const interactiveCount = Object.values(refs).filter(r =>
     ['button','link','textbox','checkbox','radio','combobox','listbox',
-     'menuitem','searchbox','slider','spinbutton','switch','tab','treeitem'
+     'menuitem','searchbox','slider','spinbutton','switch','tab','treeitem','clickable'
     ].includes(r.role)
   ).length;
   const tokens = Math.ceil(tree.length / 4);
-  console.log(`\n${refCount} refs (${interactiveCount} interactive), ~${tokens} tokens`);
+  const budget = trimmed ? ` (trimmed to fit --max-tokens ${maxTokens}; open folded parts with snapshot @eN)` : '';
+  console.log(`\n${refCount} refs (${interactiveCount} interactive), ~${tokens} tokens${budget}`);
 }
 
-async function cmdScreenshot(client) {
+async function cmdFind(client, targetId) {
+  let query = undefined;
+  let role = undefined;
+  let exact = false;
+  let frameDepth = undefined;
+  for (let i = 0; i < restArgs.length; i++) {
+    const arg = restArgs[i];
+    if (arg === '--exact') exact = true;
+    else if (arg === '--role' && restArgs[i + 1]) role = restArgs[++i];
+    else if (arg.startsWith('--role=')) role = arg.slice('--role='.length);
+    else if (arg === '--frame-depth' && restArgs[i + 1]) frameDepth = Number(restArgs[++i]);
+    else if (arg.startsWith('--frame-depth=')) frameDepth = Number(arg.split('=')[1]);
+    else if (query === undefined) query = arg;
+  }
+  requireArg(query, 'find', '"text" [--role <role>] [--exact]');
+  if (frameDepth !== undefined && !isCount(frameDepth)) {
+    error('--frame-depth needs a non-negative whole number');
+  }
+
+  const knownRefs = loadRefs(port, targetId, agentId) || {};
+  const { matches, refCache } = await findNodes(client, query, { role, exact, frameDepth, knownRefs });
+  saveRefs(port, targetId, refCache, agentId);
+
+  if (matches.length === 0) {
+    error(`No elements match "${query}"${role ? ` with role ${role}` : ''}. Try without --exact/--role, or run \`agent-chrome snapshot\`.`);
+  }
+  for (const m of matches) {
+    console.log(`@${m.ref}  ${m.role}${m.name ? ` "${m.name}"` : ''}`);
+    if (m.context) console.log(`    in ${m.context}`);
+  }
+  console.log(`\n${matches.length} match${matches.length === 1 ? '' : 'es'}`);
+}
+
+async function cmdRead(client, targetId) {
+  let maxChars = undefined;
+  let scopeArg = undefined;
+  for (let i = 0; i < restArgs.length; i++) {
+    const arg = restArgs[i];
+    if (arg === '--max-chars' && restArgs[i + 1]) maxChars = parseInt(restArgs[++i], 10);
+    else if (arg.startsWith('--max-chars=')) maxChars = parseInt(arg.split('=')[1], 10);
+    else if (!arg.startsWith('-')) scopeArg = arg;
+  }
+  if (maxChars !== undefined && !(maxChars > 0)) {
+    error('--max-chars needs a positive number');
+  }
+
+  const scope = scopeArg ? await actions.resolveRef(client, port, targetId, scopeArg, agentId) : undefined;
+  const { markdown, truncated } = await readPage(client, { scope, maxChars });
+  console.log(markdown || '(no readable content)');
+  if (truncated) console.log(`\n… (truncated at ${maxChars} chars)`);
+}
+
+async function cmdTable(client, targetId) {
+  let refArg = undefined;
+  let format = 'csv';
+  let allPages = false;
+  let next = undefined;
+  let maxPages = 50;
+  for (let i = 0; i < restArgs.length; i++) {
+    const arg = restArgs[i];
+    if (arg === '--format' && restArgs[i + 1]) format = restArgs[++i];
+    else if (arg.startsWith('--format=')) format = arg.slice('--format='.length);
+    else if (arg === '--all-pages') allPages = true;
+    else if (arg === '--next' && restArgs[i + 1]) next = restArgs[++i];
+    else if (arg.startsWith('--next=')) next = arg.slice('--next='.length);
+    else if (arg === '--max-pages' && restArgs[i + 1]) maxPages = Number(restArgs[++i]);
+    else if (arg.startsWith('--max-pages=')) maxPages = Number(arg.split('=')[1]);
+    else if (!arg.startsWith('-')) refArg = arg;
+  }
+  requireArg(refArg, 'table', '@eN [--format csv|json|md] [--all-pages [--next <locator>]]');
+  if (!['csv', 'json', 'md'].includes(format)) {
+    error(`Unknown table format: ${format}. Use csv, json or md.`);
+  }
+  if (!Number.isInteger(maxPages) || maxPages <= 0) {
+    error('--max-pages needs a positive whole number');
+  }
+
+  if (allPages) {
+    const table = await readAllPages(client, port, targetId, refArg, { next, maxPages, actionTimeout }, agentId);
+    console.log(formatTable(table, format));
+    console.error(`${table.rows.length} rows from ${table.pages} page${table.pages === 1 ? '' : 's'}`);
+    return;
+  }
+  const table = await readTable(client, await actions.resolveRef(client, port, targetId, refArg, agentId));
+  console.log(formatTable(table, format));
+}
+
+async function cmdScreenshot(client, targetId) {
   const fullPage = restArgs.includes('--full') || restArgs.includes('-f');
   const annotate = restArgs.includes('--annotate');
 
@@ -315,7 +592,11 @@ async function cmdScreenshot(client) {
     return true;
   })[0] || undefined;
 
-  const { path, annotations } = await screenshot(client, savePath, { fullPage, annotate, grid, gridSize });
+  // Annotations reuse (and extend) the cached refs, so @eN labels match
+  // the refs earlier snapshots handed out.
+  const knownRefs = annotate ? loadRefs(port, targetId, agentId) || {} : undefined;
+  const { path, annotations, refCache } = await screenshot(client, savePath, { fullPage, annotate, grid, gridSize, knownRefs });
+  if (refCache) saveRefs(port, targetId, refCache, agentId);
   console.log(path);
   if (annotations && annotations.length > 0) {
     console.log(`\n${annotations.length} annotated elements:`);
@@ -328,53 +609,93 @@ async function cmdScreenshot(client) {
   }
 }
 
-async function cmdClick(client, targetId) {
-  const a = restArgs[0];
-  const b = restArgs[1];
+async function cmdClick(client, targetId, cmd = 'click', defaults = {}) {
+  const usage = '@eN | <x> <y> [--button left|right|middle] [--modifiers Ctrl,Shift] [--js]';
+  const opts = { button: 'left', clicks: 1, modifiers: [], ...defaults, timeout: actionTimeout };
+  const rest = [];
+  for (let i = 0; i < restArgs.length; i++) {
+    const arg = restArgs[i];
+    if (arg === '--js') opts.js = true;
+    else if (arg === '--button') opts.button = restArgs[++i];
+    else if (arg.startsWith('--button=')) opts.button = arg.split('=')[1];
+    else if (arg === '--modifiers') opts.modifiers = parseModifiers(restArgs[++i]);
+    else if (arg.startsWith('--modifiers=')) opts.modifiers = parseModifiers(arg.split('=')[1]);
+    else rest.push(arg);
+  }
+  if (!actions.BUTTONS.includes(opts.button)) {
+    error(`Invalid --button "${opts.button}". Use ${actions.BUTTONS.join(', ')}.`);
+  }
+  const [a, b] = rest;
+
+  const verb = opts.clicks > 1 ? 'Double-clicked'
+    : opts.button === 'left' ? 'Clicked'
+    : `${opts.button[0].toUpperCase()}${opts.button.slice(1)}-clicked`;
+  const held = opts.modifiers.length ? ` holding ${opts.modifiers.join('+')}` : '';
+
+  // Ctrl/Cmd-, Shift- and middle clicks on links open tabs; watch for them
+  const opensTabs = opts.button === 'middle' || opts.modifiers.some(m => m !== 'Alt');
+  const newTabs = opensTabs ? await watchNewTabs(port, agentId) : null;
 
   // Coordinate form: click <x> <y>
   if (a && b && /^-?\d+$/.test(a) && /^-?\d+$/.test(b)) {
-    const { x, y } = await actions.clickAt(client, parseInt(a, 10), parseInt(b, 10));
-    console.log(`✓ Clicked at (${x}, ${y})`);
-    return;
+    const { x, y } = await actions.clickAt(client, parseInt(a, 10), parseInt(b, 10), opts);
+    console.log(`✓ ${verb} at (${x}, ${y})${held}`);
+  } else {
+    requireArg(a, cmd, usage);
+    const result = await actions.click(client, port, targetId, a, agentId, opts);
+    console.log(`✓ ${verb} ${result.role} "${result.name || ''}"${held}`);
   }
 
-  requireArg(a, 'click', '@eN | <x> <y>');
-  const result = await actions.click(client, port, targetId, a, agentId);
-  console.log(`✓ Clicked ${result.role} "${result.name || ''}"`);
+  if (newTabs) {
+    for (const tab of await newTabs()) {
+      console.log(`ℹ Opened new tab ${tab.shortId} → ${tab.url || 'about:blank'} (use --tab ${tab.shortId})`);
+    }
+  }
 }
 
 async function cmdFill(client, targetId) {
   requireArg(restArgs[0], 'fill', '@eN "text"');
   requireArg(restArgs[1], 'fill', '@eN "text"');
-  const result = await actions.fill(client, port, targetId, restArgs[0], restArgs.slice(1).join(' '), agentId);
+  const result = await actions.fill(client, port, targetId, restArgs[0], restArgs.slice(1).join(' '), agentId, { timeout: actionTimeout });
   console.log(`✓ Filled ${restArgs[0]} with "${result.text}"`);
 }
 
 async function cmdType(client, targetId) {
-  requireArg(restArgs[0], 'type', '@eN "text"');
-  requireArg(restArgs[1], 'type', '@eN "text"');
-  const result = await actions.type(client, port, targetId, restArgs[0], restArgs.slice(1).join(' '), agentId);
-  console.log(`✓ Typed "${result.text}" into ${restArgs[0]}`);
+  const usage = '@eN "text" [--keys [--delay ms]]';
+  const opts = { timeout: actionTimeout };
+  const rest = [];
+  for (let i = 0; i < restArgs.length; i++) {
+    const arg = restArgs[i];
+    if (arg === '--keys') opts.keys = true;
+    else if (arg === '--delay') opts.delay = parseInt(restArgs[++i], 10);
+    else if (arg.startsWith('--delay=')) opts.delay = parseInt(arg.split('=')[1], 10);
+    else rest.push(arg);
+  }
+  requireArg(rest[0], 'type', usage);
+  requireArg(rest[1], 'type', usage);
+  if (opts.delay !== undefined && !opts.keys) error('--delay only applies with --keys.');
+  if (opts.delay !== undefined && !(opts.delay >= 0)) error('--delay must be a number of milliseconds.');
+  const result = await actions.type(client, port, targetId, rest[0], rest.slice(1).join(' '), agentId, opts);
+  console.log(`✓ Typed "${result.text}" into ${rest[0]}${opts.keys ? ' key by key' : ''}`);
 }
 
 async function cmdSelect(client, targetId) {
   requireArg(restArgs[0], 'select', '@eN "value"');
   requireArg(restArgs[1], 'select', '@eN "value"');
-  const result = await actions.select(client, port, targetId, restArgs[0], restArgs.slice(1).join(' '), agentId);
+  const result = await actions.select(client, port, targetId, restArgs[0], restArgs.slice(1).join(' '), agentId, { timeout: actionTimeout });
   if (result.note) console.log(`ℹ ${result.note}`);
   else console.log(`✓ Selected "${result.selected}" (value: ${result.value})`);
 }
 
 async function cmdCheck(client, targetId) {
   requireArg(restArgs[0], 'check', '@eN');
-  await actions.check(client, port, targetId, restArgs[0], agentId);
+  await actions.check(client, port, targetId, restArgs[0], agentId, { timeout: actionTimeout });
   console.log(`✓ Checked ${restArgs[0]}`);
 }
 
 async function cmdUncheck(client, targetId) {
   requireArg(restArgs[0], 'uncheck', '@eN');
-  await actions.uncheck(client, port, targetId, restArgs[0], agentId);
+  await actions.uncheck(client, port, targetId, restArgs[0], agentId, { timeout: actionTimeout });
   console.log(`✓ Unchecked ${restArgs[0]}`);
 }
 
@@ -382,27 +703,85 @@ async function cmdUpload(client, targetId) {
   requireArg(restArgs[0], 'upload', '@eN <file1> [file2] ...');
   requireArg(restArgs[1], 'upload', '@eN <file1> [file2] ...');
   const filePaths = restArgs.slice(1);
-  const result = await actions.upload(client, port, targetId, restArgs[0], filePaths, agentId);
+  const result = await actions.upload(client, port, targetId, restArgs[0], filePaths, agentId, { timeout: actionTimeout });
   const names = result.uploaded.map(f => f.split('/').pop());
   console.log(`✓ Uploaded ${names.length} file${names.length > 1 ? 's' : ''}: ${names.join(', ')}`);
 }
 
 async function cmdFocus(client, targetId) {
   requireArg(restArgs[0], 'focus', '@eN');
-  await actions.focus(client, port, targetId, restArgs[0], agentId);
+  await actions.focus(client, port, targetId, restArgs[0], agentId, { timeout: actionTimeout });
   console.log(`✓ Focused ${restArgs[0]}`);
 }
 
 async function cmdHover(client, targetId) {
   requireArg(restArgs[0], 'hover', '@eN');
-  await actions.hover(client, port, targetId, restArgs[0], agentId);
+  await actions.hover(client, port, targetId, restArgs[0], agentId, { timeout: actionTimeout });
   console.log(`✓ Hovered ${restArgs[0]}`);
 }
 
+async function cmdDrag(client, targetId) {
+  const usage = '@eA @eB | <x1> <y1> <x2> <y2> [--steps N] [--modifiers Alt,Ctrl,Meta,Shift]';
+  const opts = { steps: actions.DRAG_STEPS, modifiers: [], timeout: actionTimeout };
+  const points = [];
+  for (let i = 0; i < restArgs.length; i++) {
+    const arg = restArgs[i];
+    if (arg === '--steps') opts.steps = parseInt(restArgs[++i], 10);
+    else if (arg.startsWith('--steps=')) opts.steps = parseInt(arg.split('=')[1], 10);
+    else if (arg === '--modifiers') opts.modifiers = parseModifiers(restArgs[++i]);
+    else if (arg.startsWith('--modifiers=')) opts.modifiers = parseModifiers(arg.split('=')[1]);
+    else points.push(arg);
+  }
+  if (!(opts.steps >= 1)) error('--steps must be a positive number.');
+  const held = opts.modifiers.length ? ` holding ${opts.modifiers.join('+')}` : '';
+
+  // Coordinate form: drag <x1> <y1> <x2> <y2>
+  if (points.length === 4 && points.every(p => /^-?\d+$/.test(p))) {
+    const [x1, y1, x2, y2] = points.map(p => parseInt(p, 10));
+    const result = await actions.dragAt(client, { x: x1, y: y1 }, { x: x2, y: y2 }, opts);
+    console.log(`✓ Dragged (${x1}, ${y1}) → (${x2}, ${y2})${held}${result.html5 ? ' (HTML5 drag and drop)' : ''}`);
+    return;
+  }
+
+  requireArg(points[0], 'drag', usage);
+  requireArg(points[1], 'drag', usage);
+  if (points.length > 2) error(`Usage: agent-chrome drag ${usage}`);
+  const result = await actions.drag(client, port, targetId, points[0], points[1], agentId, opts);
+  const label = ref => `${ref.role}${ref.name ? ` "${ref.name}"` : ''}`;
+  console.log(`✓ Dragged ${label(result.source)} to ${label(result.target)}${held}${result.html5 ? ' (HTML5 drag and drop)' : ''}`);
+}
+
 async function cmdPress(client) {
-  requireArg(restArgs[0], 'press', '<key>');
-  const result = await actions.press(client, restArgs[0]);
-  console.log(`✓ Pressed ${result.pressed}`);
+  let times = 1;
+  const keys = [];
+  for (let i = 0; i < restArgs.length; i++) {
+    if (restArgs[i] === '--times') times = parseInt(restArgs[++i], 10);
+    else if (restArgs[i].startsWith('--times=')) times = parseInt(restArgs[i].split('=')[1], 10);
+    else keys.push(restArgs[i]);
+  }
+  requireArg(keys[0], 'press', '<key|chord>... [--times N]');
+  if (!(times >= 1)) error('--times must be a positive number.');
+  // Check every key before pressing any, so a typo doesn't leave it half done
+  for (const key of keys) parseChord(key);
+  for (const key of keys) {
+    const result = await actions.press(client, key, { times });
+    console.log(`✓ Pressed ${result.pressed}${times > 1 ? ` ×${times}` : ''}`);
+  }
+}
+
+async function cmdKeyDown(client, targetId) {
+  requireArg(restArgs[0], 'keydown', '<key>');
+  await keyDown(client, restArgs[0]);
+  saveHeldKeys(port, targetId, heldKeys(client), agentId);
+  console.log(`✓ Holding ${heldKeys(client).join('+')} (release with keyup)`);
+}
+
+async function cmdKeyUp(client, targetId) {
+  requireArg(restArgs[0], 'keyup', '<key>');
+  await keyUp(client, restArgs[0]);
+  saveHeldKeys(port, targetId, heldKeys(client), agentId);
+  const held = heldKeys(client);
+  console.log(`✓ Released ${restArgs[0]}${held.length ? ` (still holding ${held.join('+')})` : ''}`);
 }
 
 async function cmdScroll(client) {
@@ -414,7 +793,7 @@ async function cmdScroll(client) {
 
 async function cmdScrollIntoView(client, targetId) {
   requireArg(restArgs[0], 'scrollintoview', '@eN');
-  await actions.scrollIntoView(client, port, targetId, restArgs[0], agentId);
+  await actions.scrollIntoView(client, port, targetId, restArgs[0], agentId, { timeout: actionTimeout });
   console.log(`✓ Scrolled ${restArgs[0]} into view`);
 }
 
@@ -491,6 +870,27 @@ async function cmdGet(client) {
   }
 }
 
+async function cmdDialog(client) {
+  const sub = restArgs[0] || 'status';
+  if (sub === 'status') {
+    const dialog = pendingDialog(client);
+    if (!dialog) {
+      console.log('No dialog open.');
+      return;
+    }
+    console.log(describeDialog(dialog));
+    console.log(`  from ${dialog.url}`);
+  } else if (sub === 'accept') {
+    const dialog = await handleDialog(client, true, restArgs.length > 1 ? restArgs.slice(1).join(' ') : undefined);
+    console.log(`✓ Accepted ${dialog ? describeDialog(dialog) : 'dialog'}`);
+  } else if (sub === 'dismiss') {
+    const dialog = await handleDialog(client, false);
+    console.log(`✓ Dismissed ${dialog ? describeDialog(dialog) : 'dialog'}`);
+  } else {
+    error(`Unknown dialog subcommand: ${sub}. Usage: agent-chrome dialog status|accept [text]|dismiss`);
+  }
+}
+
 async function cmdCdp(client) {
   requireArg(restArgs[0], 'cdp', `<Domain.method> [--params '<json>']`);
   const method = restArgs[0];
@@ -558,10 +958,41 @@ async function cmdEmulate(client) {
   }
 }
 
-async function cmdWait() {
-  const ms = parseInt(restArgs[0] || '1000', 10);
-  await actions.wait(ms);
-  console.log(`✓ Waited ${ms}ms`);
+async function cmdWait(client, targetId) {
+  // Plain sleep: wait <ms>
+  if (!restArgs[0] || /^\d+$/.test(restArgs[0])) {
+    const ms = parseInt(restArgs[0] || '1000', 10);
+    await actions.wait(ms);
+    console.log(`✓ Waited ${ms}ms`);
+    return;
+  }
+
+  const usage = '<ms> | --text <text> | --gone @eN | --selector <css> | --url <glob> | --load [domcontentloaded|load|networkidle] | --fn <js>';
+  const conditions = [];
+  for (let i = 0; i < restArgs.length; i++) {
+    const [flag, inline] = restArgs[i].split(/=(.*)/s);
+    const kind = flag.replace(/^--/, '');
+    if (!['text', 'gone', 'selector', 'url', 'load', 'fn'].includes(kind) || !flag.startsWith('--')) {
+      error(`Unknown wait option: ${restArgs[i]}. Usage: agent-chrome wait ${usage}`);
+    }
+    let value = inline;
+    if (value === undefined) {
+      // --load's state is optional
+      const next = restArgs[i + 1];
+      if (kind !== 'load' || (next && !next.startsWith('--'))) value = restArgs[++i];
+    }
+    if (kind === 'load') {
+      value = value || 'load';
+      if (!LOAD_STATES.includes(value)) error(`Invalid load state "${value}". Use ${LOAD_STATES.join(', ')}.`);
+    }
+    requireArg(value, 'wait', usage);
+    conditions.push({ kind, value });
+  }
+
+  // Give up just before the process timeout so the error says what we were waiting for
+  const budget = timeout > 0 ? Math.max(0, timeout * 1000 - performance.now() - 500) : Infinity;
+  const { elapsed } = await waitFor(client, port, targetId, conditions, { timeout: budget }, agentId);
+  console.log(`✓ ${conditions.map(describeCondition).join(', ')} after ${(elapsed / 1000).toFixed(1)}s`);
 }
 
 async function cmdTab() {
@@ -749,6 +1180,11 @@ function requireArg(arg, cmd, usage) {
   }
 }
 
+/** Whether a numeric option is a whole number, 0 or more */
+function isCount(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
 function error(msg) {
   console.error(`✗ ${msg}`);
   process.exit(1);
@@ -1,22 +1,77 @@
 /**
- * Actions — click, fill, type, check, select, press, scroll, navigate, eval.
- * All interactions use backendDOMNodeId from the ref cache.
+ * Actions — click, fill, type, check, select, drag, press, scroll, navigate, eval.
+ * All interactions use backendDOMNodeId from the ref cache, or from a locator
+ * resolved against the live page (see locators.js). Refs inside
+ * out-of-process iframes are routed through that frame's session; Input
+ * events always go to the root session in top-level viewport coordinates.
+ * Ref actions first wait for their element to be actionable (see
+ * waitForActionable), up to `--action-timeout`.
  */
 
-import { loadRefs } from './refs.js';
+import { loadRefs, saveRefs } from './refs.js';
+import { sessionFor, frameOffset } from './frames.js';
+import { resolveLocator } from './locators.js';
+import { findNodes, documentId } from './snapshot.js';
+import { holdModifiers, releaseModifiers, pressKey, typeKeys } from './keyboard.js';
 
 /**
- * Parse a ref argument like "@e5" or "e5" and return the ref data.
+ * Check that a ref's element still exists and is attached to the document.
+ */
+async function isAttached(client, ref) {
+  const { DOM, Runtime } = client;
+  try {
+    const sessionId = await sessionFor(client, ref);
+    const { object } = await DOM.resolveNode({ backendNodeId: ref.backendDOMNodeId }, sessionId);
+    if (!object || !object.objectId) return false;
+    const { result } = await Runtime.callFunctionOn({
+      objectId: object.objectId,
+      functionDeclaration: 'function() { return this.isConnected; }',
+      returnByValue: true,
+    }, sessionId);
+    await Runtime.releaseObject({ objectId: object.objectId }, sessionId).catch(() => {});
+    return result.value === true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the element that replaced a stale ref's element (e.g. after a React
+ * re-render): same role and name, and the same nearest ancestors. Returns
+ * the new ref data, or null unless there's exactly one such element.
+ */
+async function healRef(client, ref) {
+  const { matches, refs } = await findNodes(client, ref.name || undefined, { role: ref.role, exact: true });
+  const path = ref.path || [];
+  const candidates = matches
+    .map(m => refs[m.ref])
+    .filter(c => c.name === ref.name && path.every((p, i) => c.path[i] === p));
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Resolve a ref argument like "@e5" or "e5" from the ref cache, or a
+ * locator like `role=button[name="Submit"]` against the live page (see
+ * locators.js), and return the ref data.
+ * A cached ref whose element is gone is re-located by role, name and
+ * ancestor path; the cache is updated and a warning printed to stderr. Refs
+ * from before a navigation aren't re-located.
+ * Pass `heal: false` to get the cached data as is.
+ * @param {CDP.Client} client
  * @param {number} port
  * @param {string} targetId
  * @param {string} refArg
  * @param {string} [agentId]
- * @returns {{backendDOMNodeId: number, role: string, name: string}}
+ * @param {object} [opts] - {heal?: boolean (default true)}
+ * @returns {Promise<{backendDOMNodeId: number, role: string, name: string, targetId?: string, frameOwners?: object[]}>}
  */
-export function resolveRef(port, targetId, refArg, agentId) {
+export async function resolveRef(client, port, targetId, refArg, agentId, { heal = true } = {}) {
+  const located = await resolveLocator(client, refArg);
+  if (located) return located;
+
   const refs = loadRefs(port, targetId, agentId);
   if (!refs) {
-    throw new Error('No snapshot taken yet. Run `agent-chrome snapshot` first to get element refs.');
+    throw new Error('No snapshot taken yet. Run `agent-chrome snapshot` first to get element refs, or use a locator like role=button[name="Save"].');
   }
 
   let refKey = refArg;
@@ -28,15 +83,33 @@ export function resolveRef(port, targetId, refArg, agentId) {
     const available = Object.keys(refs).slice(0, 10).join(', ');
     throw new Error(`Ref "${refArg}" not found. Available refs: ${available}${Object.keys(refs).length > 10 ? '...' : ''}. Run \`agent-chrome snapshot\` to refresh.`);
   }
-  return data;
+  if (!heal || await isAttached(client, data)) return data;
+
+  // Refs don't carry over a navigation: a same-named element on the new
+  // page is a different element
+  const doc = await documentId(client);
+  if (data.doc && doc && data.doc !== doc) {
+    throw new Error(`Ref "${refArg}" is from a previous page (the tab navigated since the snapshot). Run \`agent-chrome snapshot\` to get fresh refs.`);
+  }
+
+  // Stale — look for its replacement. If there's none, the action fails
+  // with the usual "no longer exists" error.
+  const healed = await healRef(client, data).catch(() => null);
+  if (!healed) return data;
+  refs[refKey] = healed;
+  saveRefs(port, targetId, refs, agentId);
+  console.error(`⚠ ${refArg} was stale; re-located ${healed.role}${healed.name ? ` "${healed.name}"` : ''} by role, name and ancestors`);
+  return healed;
 }
 
 /**
- * Resolve a backendDOMNodeId to a Runtime object, then call a function on it.
+ * Resolve a ref's backendDOMNodeId to a Runtime object in the ref's frame
+ * session, then call a function on it.
  */
-async function callOnNode(client, backendDOMNodeId, fn, ...args) {
+export async function callOnNode(client, ref, fn, ...args) {
   const { DOM, Runtime } = client;
-  const { object } = await DOM.resolveNode({ backendNodeId: backendDOMNodeId });
+  const sessionId = await sessionFor(client, ref);
+  const { object } = await DOM.resolveNode({ backendNodeId: ref.backendDOMNodeId }, sessionId);
   if (!object || !object.objectId) {
     throw new Error('Element no longer exists in the DOM. Run `agent-chrome snapshot` to refresh refs.');
   }
@@ -45,43 +118,228 @@ async function callOnNode(client, backendDOMNodeId, fn, ...args) {
     functionDeclaration: fn,
     arguments: args.map(a => ({ value: a })),
     returnByValue: true,
-  });
+    awaitPromise: true,
+  }, sessionId);
   // Release the object
-  await Runtime.releaseObject({ objectId: object.objectId }).catch(() => {});
+  await Runtime.releaseObject({ objectId: object.objectId }, sessionId).catch(() => {});
   if (result.exceptionDetails) {
     throw new Error(`Action failed: ${result.exceptionDetails.text || result.exceptionDetails.exception?.description || 'unknown error'}`);
   }
   return result.result?.value;
 }
 
+/** `buttons` bit for each mouse button while it's pressed */
+const BUTTON_BITS = { left: 1, right: 2, middle: 4 };
+export const BUTTONS = Object.keys(BUTTON_BITS);
+
 /**
  * Click at viewport coordinates. Dispatches raw mouse events — passes through
  * iframes, shadow DOM, and canvas-based UIs at the compositor level.
+ * `clicks: 2` is a double-click (press/release with clickCount 1, then 2),
+ * so the page gets click, click, dblclick. `modifiers` are held throughout.
+ * @param {object} [opts] - {button?: 'left'|'right'|'middle', clicks?: number, modifiers?: string[] (see keyboard.js)}
  */
-export async function clickAt(client, x, y, { button = 'left', clicks = 1 } = {}) {
+export async function clickAt(client, x, y, { button = 'left', clicks = 1, modifiers = [] } = {}) {
   const { Input } = client;
-  await Input.dispatchMouseEvent({ type: 'mousePressed',  x, y, button, clickCount: clicks });
-  await Input.dispatchMouseEvent({ type: 'mouseReleased', x, y, button, clickCount: clicks });
+  const bits = await holdModifiers(client, modifiers);
+  try {
+    for (let count = 1; count <= clicks; count++) {
+      await Input.dispatchMouseEvent({ type: 'mousePressed',  x, y, button, buttons: BUTTON_BITS[button], clickCount: count, modifiers: bits });
+      await Input.dispatchMouseEvent({ type: 'mouseReleased', x, y, button, buttons: 0, clickCount: count, modifiers: bits });
+    }
+  } finally {
+    await releaseModifiers(client, modifiers);
+  }
   return { x, y };
 }
 
 /**
- * Click an element by ref.
+ * Find the point to click on an element (its center, in its frame's
+ * viewport) and hit-test it with elementFromPoint. Reports the element on
+ * top if it isn't the target or inside it.
  */
-export async function click(client, port, targetId, refArg, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
+const HIT_TEST = `function() {
+  const r = this.getBoundingClientRect();
+  if (r.width === 0 || r.height === 0) return { error: 'it has no size (hidden or display: none)' };
+  const x = r.x + r.width / 2;
+  const y = r.y + r.height / 2;
+  if (x < 0 || y < 0 || x > innerWidth || y > innerHeight) return { error: 'its center is outside the viewport' };
+
+  // Hit-test through open shadow roots down to the innermost element
+  let hit = document.elementFromPoint(x, y);
+  while (hit && hit.shadowRoot) {
+    const inner = hit.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === hit) break;
+    hit = inner;
+  }
+  const inside = el => el && (el === this || this.contains(el) || (this.shadowRoot && this.shadowRoot.contains(el)));
+  if (!hit || inside(hit)) return { x, y };
 
-  // Scroll into view, then click
-  await callOnNode(client, ref.backendDOMNodeId, `function() {
-    this.scrollIntoView({ block: 'center', behavior: 'instant' });
-  }`);
+  // Labels forward clicks to their control
+  if (hit.closest('label') && hit.closest('label').control === this) return { x, y };
 
-  // Small delay for scroll to settle
-  await new Promise(r => setTimeout(r, 50));
+  let desc = hit.tagName.toLowerCase();
+  if (hit.id) desc += '#' + hit.id;
+  else if (typeof hit.className === 'string' && hit.className.trim()) {
+    desc += '.' + hit.className.trim().split(/\\s+/).slice(0, 2).join('.');
+  }
+  return { x, y, coveredBy: desc };
+}`;
+
+/** How long actions wait for their element to become actionable (--action-timeout) */
+export const ACTION_TIMEOUT_MS = 5000;
+const ACTION_POLL_MS = 100;
+
+/** What each kind of action waits for; see waitForActionable */
+const CLICK_CHECKS = ['attached', 'visible', 'stable', 'enabled', 'pointer'];
+const HOVER_CHECKS = ['attached', 'visible', 'stable', 'pointer'];
+const INPUT_CHECKS = ['attached', 'visible', 'enabled'];
+// Native checkboxes and radios are often hidden behind a styled label
+const TOGGLE_CHECKS = ['attached', 'enabled'];
+const ATTACHED_CHECKS = ['attached'];
+
+/** How a failed condition reads in the timeout error */
+const CONDITIONS = {
+  attached: 'attached to the DOM',
+  visible: 'visible',
+  stable: 'stable (it kept moving)',
+  enabled: 'enabled',
+  pointer: 'receiving pointer events',
+};
 
-  await callOnNode(client, ref.backendDOMNodeId, `function() {
-    this.click();
-  }`);
+/**
+ * Check the conditions in `checks` on an element, in order. Returns
+ * {failed, detail?} for the first one that fails, or null. For pointer
+ * checks the element is scrolled into view so it can be hit-tested.
+ */
+const ACTIONABLE = `async function(checks) {
+  const el = this.nodeType === Node.ELEMENT_NODE ? this : this.parentElement;
+  if (!this.isConnected || !el) return { failed: 'attached' };
+
+  if (checks.includes('visible')) {
+    const r = el.getBoundingClientRect();
+    const shown = el.checkVisibility
+      ? el.checkVisibility({ visibilityProperty: true })
+      : getComputedStyle(el).visibility !== 'hidden';
+    if (r.width === 0 || r.height === 0 || !shown) return { failed: 'visible' };
+  }
+
+  if (checks.includes('stable')) {
+    // Same box across two animation frames. rAF doesn't fire in background
+    // tabs, so each frame also ends after 50ms.
+    const box = () => { const r = el.getBoundingClientRect(); return [r.x, r.y, r.width, r.height].join(); };
+    const frame = () => new Promise(resolve => { requestAnimationFrame(resolve); setTimeout(resolve, 50); });
+    const before = box();
+    await frame();
+    await frame();
+    if (box() !== before) return { failed: 'stable' };
+  }
+
+  if (checks.includes('enabled')) {
+    if (el.matches(':disabled') || el.closest('[aria-disabled="true"]')) return { failed: 'enabled' };
+  }
+
+  if (checks.includes('pointer')) {
+    if (getComputedStyle(el).pointerEvents === 'none') return { failed: 'pointer', detail: 'it has pointer-events: none' };
+    const r = el.getBoundingClientRect();
+    const x = r.x + r.width / 2;
+    const y = r.y + r.height / 2;
+    if (x < 0 || y < 0 || x > innerWidth || y > innerHeight) {
+      el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+    }
+  }
+  return null;
+}`;
+
+/**
+ * Wait until a ref's element is actionable: attached, visible, stable (same
+ * box across two frames), enabled and receiving pointer events (the
+ * hit-test at its center lands on it) — whichever of those `checks` lists.
+ * Polls until all pass or `timeout` ms have gone by, then throws an error
+ * naming the condition that failed, with `err.condition` set to its key.
+ * An element that can't be resolved at all fails at once as 'attached'.
+ * @param {CDP.Client} client
+ * @param {object} ref - Ref data
+ * @param {string[]} checks - Keys of CONDITIONS
+ * @param {number} [timeout]
+ */
+async function waitForActionable(client, ref, checks, timeout = ACTION_TIMEOUT_MS) {
+  const label = `${ref.role}${ref.name ? ` "${ref.name}"` : ''}`;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    let failure;
+    try {
+      failure = await callOnNode(client, ref, ACTIONABLE, checks);
+      if (!failure && checks.includes('pointer')) {
+        const hit = await callOnNode(client, ref, HIT_TEST);
+        if (hit.error) failure = { failed: 'pointer', detail: hit.error };
+        else if (hit.coveredBy) failure = { failed: 'pointer', detail: `covered by ${hit.coveredBy}` };
+      }
+    } catch (err) {
+      err.condition = 'attached';
+      throw err;
+    }
+    if (!failure) return;
+
+    if (Date.now() >= deadline) {
+      const detail = failure.detail ? `: ${failure.detail}` : '';
+      const err = new Error(`${label} is not ${CONDITIONS[failure.failed]}${detail} (waited ${timeout}ms). Use --action-timeout <ms> to wait longer.`);
+      err.condition = failure.failed;
+      throw err;
+    }
+    await new Promise(r => setTimeout(r, ACTION_POLL_MS));
+  }
+}
+
+/**
+ * Click an element by ref with real mouse input: wait until it's
+ * actionable (see waitForActionable), hit-test its center, then move, press
+ * and release the mouse there, so pointer/mouse handlers fire and overlays
+ * are respected. Fails with the covering element if something else stays
+ * on top.
+ * With `js: true`, only waits for the element to be attached and calls
+ * element.click() instead (bypasses overlays); that's a plain left click.
+ * @param {object} [opts] - {js?: boolean, timeout?: number (ms), and clickAt's
+ *   button, clicks and modifiers}
+ */
+export async function click(client, port, targetId, refArg, agentId, opts = {}) {
+  const mouse = { button: opts.button, clicks: opts.clicks, modifiers: opts.modifiers };
+  if (opts.js && ((opts.button && opts.button !== 'left') || opts.clicks > 1 || opts.modifiers?.length)) {
+    throw new Error('--js only does plain left clicks. Drop --js to use other buttons, double-clicks or modifiers.');
+  }
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
+  const label = `${ref.role}${ref.name ? ` "${ref.name}"` : ''}`;
+
+  try {
+    await waitForActionable(client, ref, opts.js ? ATTACHED_CHECKS : CLICK_CHECKS, opts.timeout);
+  } catch (err) {
+    if (err.condition === 'pointer') err.message += ' Close or scroll past it, or use --js to click through it.';
+    throw err;
+  }
+
+  if (opts.js) {
+    await callOnNode(client, ref, `function() {
+      this.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+      this.click();
+    }`);
+    return { clicked: true, ref: refArg, role: ref.role, name: ref.name };
+  }
+
+  // The actionability check scrolled it into view; find the point to click
+  const target = await callOnNode(client, ref, HIT_TEST);
+  if (target.error) {
+    throw new Error(`Can't click ${label}: ${target.error}. Use --js to click it through JavaScript.`);
+  }
+  if (target.coveredBy) {
+    throw new Error(`Can't click ${label}: covered by ${target.coveredBy}. Close or scroll past it, or use --js to click through it.`);
+  }
+
+  const offset = await frameOffset(client, ref);
+  const x = target.x + offset.x;
+  const y = target.y + offset.y;
+  await client.Input.dispatchMouseEvent({ type: 'mouseMoved', x, y });
+  await clickAt(client, x, y, mouse);
 
   return { clicked: true, ref: refArg, role: ref.role, name: ref.name };
 }
@@ -90,20 +348,17 @@ export async function click(client, port, targetId, refArg, agentId) {
  * Fill an element — clear then set value. Works for inputs, textareas, contenteditable.
  * Uses the Input.insertText approach for React/Angular compatibility.
  */
-export async function fill(client, port, targetId, refArg, text, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
+export async function fill(client, port, targetId, refArg, text, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
   const { DOM, Input } = client;
+  await waitForActionable(client, ref, INPUT_CHECKS, opts.timeout);
 
   // Focus the element
-  await DOM.focus({ backendNodeId: ref.backendDOMNodeId });
+  await DOM.focus({ backendNodeId: ref.backendDOMNodeId }, await sessionFor(client, ref));
 
-  // Select all existing content
-  await Input.dispatchKeyEvent({ type: 'keyDown', key: 'a', code: 'KeyA', windowsVirtualKeyCode: 65, nativeVirtualKeyCode: 65, modifiers: 2 }); // Ctrl+A
-  await Input.dispatchKeyEvent({ type: 'keyUp', key: 'a', code: 'KeyA', windowsVirtualKeyCode: 65, nativeVirtualKeyCode: 65, modifiers: 2 });
-
-  // Delete selected content
-  await Input.dispatchKeyEvent({ type: 'keyDown', key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8, nativeVirtualKeyCode: 8 });
-  await Input.dispatchKeyEvent({ type: 'keyUp', key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8, nativeVirtualKeyCode: 8 });
+  // Select all existing content (Cmd+A on macOS, Ctrl+A elsewhere), then delete it
+  await pressKey(client, 'ControlOrMeta+a');
+  await pressKey(client, 'Backspace');
 
   // Insert new text (fires all the right input events for React etc.)
   if (text) {
@@ -111,7 +366,7 @@ export async function fill(client, port, targetId, refArg, text, agentId) {
   }
 
   // Also dispatch change event for good measure
-  await callOnNode(client, ref.backendDOMNodeId, `function() {
+  await callOnNode(client, ref, `function() {
     this.dispatchEvent(new Event('change', { bubbles: true }));
   }`);
 
@@ -120,16 +375,25 @@ export async function fill(client, port, targetId, refArg, text, agentId) {
 
 /**
  * Type text into the focused element or a specific ref (append, don't clear).
+ * Inserts the text in one go, firing input events but no key events; with
+ * `keys: true`, types it key by key instead (see keyboard.js typeKeys), for
+ * typeaheads, OTP boxes, masked inputs and code editors.
+ * @param {object} [opts] - {keys?: boolean, delay?: number (ms between keys), timeout?: number (ms)}
  */
-export async function type(client, port, targetId, refArg, text, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
+export async function type(client, port, targetId, refArg, text, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
   const { DOM, Input } = client;
+  await waitForActionable(client, ref, INPUT_CHECKS, opts.timeout);
 
   // Focus the element
-  await DOM.focus({ backendNodeId: ref.backendDOMNodeId });
+  await DOM.focus({ backendNodeId: ref.backendDOMNodeId }, await sessionFor(client, ref));
 
-  // Insert text (appends to existing content)
-  await Input.insertText({ text });
+  if (opts.keys) {
+    await typeKeys(client, text, { delay: opts.delay });
+  } else {
+    // Insert text (appends to existing content)
+    await Input.insertText({ text });
+  }
 
   return { typed: true, ref: refArg, text };
 }
@@ -137,10 +401,11 @@ export async function type(client, port, targetId, refArg, text, agentId) {
 /**
  * Select a dropdown option by value or label.
  */
-export async function select(client, port, targetId, refArg, value, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
+export async function select(client, port, targetId, refArg, value, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
+  await waitForActionable(client, ref, INPUT_CHECKS, opts.timeout);
 
-  const result = await callOnNode(client, ref.backendDOMNodeId, `function(val) {
+  const result = await callOnNode(client, ref, `function(val) {
     if (this.tagName !== 'SELECT') {
       // For combobox roles, try clicking to open and finding the option
       this.click();
@@ -165,9 +430,10 @@ export async function select(client, port, targetId, refArg, value, agentId) {
 /**
  * Check a checkbox or radio.
  */
-export async function check(client, port, targetId, refArg, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
-  await callOnNode(client, ref.backendDOMNodeId, `function() {
+export async function check(client, port, targetId, refArg, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
+  await waitForActionable(client, ref, TOGGLE_CHECKS, opts.timeout);
+  await callOnNode(client, ref, `function() {
     if (!this.checked) this.click();
   }`);
   return { checked: true, ref: refArg };
@@ -176,9 +442,10 @@ export async function check(client, port, targetId, refArg, agentId) {
 /**
  * Uncheck a checkbox.
  */
-export async function uncheck(client, port, targetId, refArg, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
-  await callOnNode(client, ref.backendDOMNodeId, `function() {
+export async function uncheck(client, port, targetId, refArg, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
+  await waitForActionable(client, ref, TOGGLE_CHECKS, opts.timeout);
+  await callOnNode(client, ref, `function() {
     if (this.checked) this.click();
   }`);
   return { unchecked: true, ref: refArg };
@@ -187,20 +454,24 @@ export async function uncheck(client, port, targetId, refArg, agentId) {
 /**
  * Focus an element.
  */
-export async function focus(client, port, targetId, refArg, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
-  await client.DOM.focus({ backendNodeId: ref.backendDOMNodeId });
+export async function focus(client, port, targetId, refArg, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
+  await waitForActionable(client, ref, ATTACHED_CHECKS, opts.timeout);
+  await client.DOM.focus({ backendNodeId: ref.backendDOMNodeId }, await sessionFor(client, ref));
   return { focused: true, ref: refArg };
 }
 
 /**
- * Hover an element (scroll into view + move mouse to center).
+ * Hover an element (scroll into view + move mouse to center). The center is
+ * translated from frame-local to top-level viewport coordinates.
  */
-export async function hover(client, port, targetId, refArg, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
+export async function hover(client, port, targetId, refArg, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
+
+  await waitForActionable(client, ref, HOVER_CHECKS, opts.timeout);
 
   // Scroll into view and get bounding rect
-  const rect = await callOnNode(client, ref.backendDOMNodeId, `function() {
+  const rect = await callOnNode(client, ref, `function() {
     this.scrollIntoView({ block: 'center', behavior: 'instant' });
     const r = this.getBoundingClientRect();
     return { x: r.x + r.width/2, y: r.y + r.height/2 };
@@ -208,49 +479,124 @@ export async function hover(client, port, targetId, refArg, agentId) {
 
   await new Promise(r => setTimeout(r, 50));
 
-  await client.Input.dispatchMouseEvent({
-    type: 'mouseMoved',
-    x: rect.x,
-    y: rect.y,
-  });
+  const offset = await frameOffset(client, ref);
+  const x = rect.x + offset.x;
+  const y = rect.y + offset.y;
+  await client.Input.dispatchMouseEvent({ type: 'mouseMoved', x, y });
 
   return { hovered: true, ref: refArg };
 }
 
+/** Mouse moves between the start and end of a drag (--steps) */
+export const DRAG_STEPS = 10;
+const DRAG_STEP_MS = 10;
+
 /**
- * Press a key (e.g., 'Enter', 'Tab', 'Escape', 'ArrowDown').
+ * Drag with the left button from one viewport point to another: press at
+ * `from`, move there in `steps` interpolated mouseMoved events, release.
+ * Drags are intercepted (Input.setInterceptDrags), so if the page starts an
+ * HTML5 drag (draggable elements, file drop zones), the rest of the way is
+ * sent as dragEnter/dragOver/drop with the drag's data instead.
+ * @param {CDP.Client} client
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}|function(): Promise<{x: number, y: number}>} to -
+ *   A function is called once the button is down, so it can scroll the
+ *   drop target into view first
+ * @param {object} [opts] - {steps?: number, modifiers?: string[] (see keyboard.js)}
+ * @returns {Promise<{from: object, to: object, html5: boolean}>}
  */
-export async function press(client, key) {
+export async function dragAt(client, from, to, { steps = DRAG_STEPS, modifiers = [] } = {}) {
   const { Input } = client;
+  let dragData = null;
+  const onDrag = ({ data }) => { dragData = data; };
+  client.on('Input.dragIntercepted', onDrag);
+  await Input.setInterceptDrags({ enabled: true });
+
+  const bits = await holdModifiers(client, modifiers);
+  let html5 = false;
+  try {
+    await Input.dispatchMouseEvent({ type: 'mouseMoved', x: from.x, y: from.y, modifiers: bits });
+    await Input.dispatchMouseEvent({ type: 'mousePressed', x: from.x, y: from.y, button: 'left', buttons: 1, clickCount: 1, modifiers: bits });
+    if (typeof to === 'function') to = await to();
+
+    for (let i = 1; i <= steps; i++) {
+      const x = Math.round(from.x + (to.x - from.x) * i / steps);
+      const y = Math.round(from.y + (to.y - from.y) * i / steps);
+      if (dragData) {
+        await Input.dispatchDragEvent({ type: html5 ? 'dragOver' : 'dragEnter', x, y, data: dragData, modifiers: bits });
+        html5 = true;
+      } else {
+        await Input.dispatchMouseEvent({ type: 'mouseMoved', x, y, button: 'left', buttons: 1, modifiers: bits });
+      }
+      await new Promise(r => setTimeout(r, DRAG_STEP_MS));
+    }
 
-  // Map common key names to CDP key event params
-  const keyMap = {
-    'Enter': { key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13 },
-    'Tab': { key: 'Tab', code: 'Tab', windowsVirtualKeyCode: 9 },
-    'Escape': { key: 'Escape', code: 'Escape', windowsVirtualKeyCode: 27 },
-    'Backspace': { key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8 },
-    'Delete': { key: 'Delete', code: 'Delete', windowsVirtualKeyCode: 46 },
-    'ArrowUp': { key: 'ArrowUp', code: 'ArrowUp', windowsVirtualKeyCode: 38 },
-    'ArrowDown': { key: 'ArrowDown', code: 'ArrowDown', windowsVirtualKeyCode: 40 },
-    'ArrowLeft': { key: 'ArrowLeft', code: 'ArrowLeft', windowsVirtualKeyCode: 37 },
-    'ArrowRight': { key: 'ArrowRight', code: 'ArrowRight', windowsVirtualKeyCode: 39 },
-    'Space': { key: ' ', code: 'Space', windowsVirtualKeyCode: 32 },
-  };
+    if (dragData) {
+      // The drag started on the last move: it hasn't entered the target yet
+      if (!html5) {
+        await Input.dispatchDragEvent({ type: 'dragEnter', x: to.x, y: to.y, data: dragData, modifiers: bits });
+        await Input.dispatchDragEvent({ type: 'dragOver', x: to.x, y: to.y, data: dragData, modifiers: bits });
+      }
+      await Input.dispatchDragEvent({ type: 'drop', x: to.x, y: to.y, data: dragData, modifiers: bits });
+      html5 = true;
+    }
+    await Input.dispatchMouseEvent({ type: 'mouseReleased', x: to.x, y: to.y, button: 'left', buttons: 0, clickCount: 1, modifiers: bits });
+  } finally {
+    await releaseModifiers(client, modifiers);
+    await Input.setInterceptDrags({ enabled: false }).catch(() => {});
+    client.removeListener('Input.dragIntercepted', onDrag);
+  }
 
-  const mapped = keyMap[key] || { key, code: key, windowsVirtualKeyCode: 0 };
+  return { from, to, html5 };
+}
 
-  await Input.dispatchKeyEvent({
-    type: 'keyDown',
-    ...mapped,
-    nativeVirtualKeyCode: mapped.windowsVirtualKeyCode,
-  });
-  await Input.dispatchKeyEvent({
-    type: 'keyUp',
-    ...mapped,
-    nativeVirtualKeyCode: mapped.windowsVirtualKeyCode,
-  });
+/**
+ * Center of a ref's element in top-level viewport coordinates, scrolling
+ * it into view only if it's outside the viewport.
+ */
+async function refPoint(client, ref) {
+  const point = await callOnNode(client, ref, `function() {
+    let r = this.getBoundingClientRect();
+    if (r.bottom < 0 || r.right < 0 || r.top > innerHeight || r.left > innerWidth) {
+      this.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+      r = this.getBoundingClientRect();
+    }
+    return { x: r.x + r.width / 2, y: r.y + r.height / 2 };
+  }`);
+  const offset = await frameOffset(client, ref);
+  return { x: Math.round(point.x + offset.x), y: Math.round(point.y + offset.y) };
+}
+
+/**
+ * Drag one ref's element onto another's (see dragAt). The source must be
+ * actionable like a hover target; the drop target only attached and
+ * visible, since the dragged element usually covers it.
+ * @param {object} [opts] - {steps?: number, modifiers?: string[], timeout?: number (ms)}
+ */
+export async function drag(client, port, targetId, fromArg, toArg, agentId, opts = {}) {
+  const source = await resolveRef(client, port, targetId, fromArg, agentId);
+  const target = await resolveRef(client, port, targetId, toArg, agentId);
+
+  await waitForActionable(client, source, HOVER_CHECKS, opts.timeout);
+  const from = await refPoint(client, source);
+  const result = await dragAt(client, from, async () => {
+    await waitForActionable(client, target, ['attached', 'visible'], opts.timeout);
+    return refPoint(client, target);
+  }, opts);
+
+  return { ...result, source, target };
+}
 
-  return { pressed: key };
+/**
+ * Press a key or chord (e.g. 'Enter', 'F5', 'Shift+Tab', 'Control+Shift+K'),
+ * `times` times. See keyboard.js for key names.
+ * @param {object} [opts] - {times?: number}
+ */
+export async function press(client, key, { times = 1 } = {}) {
+  for (let i = 0; i < times; i++) {
+    await pressKey(client, key);
+  }
+  return { pressed: key, times };
 }
 
 /**
@@ -383,10 +729,14 @@ export async function getTitle(client) {
  * @param {string} targetId
  * @param {string} refArg - ref like "@e5"
  * @param {string[]} filePaths - absolute paths to files
+ * @param {string} [agentId]
+ * @param {object} [opts] - {timeout?: number (ms)}
  */
-export async function upload(client, port, targetId, refArg, filePaths, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
+export async function upload(client, port, targetId, refArg, filePaths, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
   const { DOM } = client;
+  // File inputs are often hidden behind a styled button, so only require attached
+  await waitForActionable(client, ref, ATTACHED_CHECKS, opts.timeout);
 
   // Resolve absolute paths
   const path = await import('path');
@@ -404,10 +754,10 @@ export async function upload(client, port, targetId, refArg, filePaths, agentId)
   await DOM.setFileInputFiles({
     files: resolvedPaths,
     backendNodeId: ref.backendDOMNodeId,
-  });
+  }, await sessionFor(client, ref));
 
   // Dispatch change event so frameworks pick it up
-  await callOnNode(client, ref.backendDOMNodeId, `function() {
+  await callOnNode(client, ref, `function() {
     this.dispatchEvent(new Event('change', { bubbles: true }));
     this.dispatchEvent(new Event('input', { bubbles: true }));
   }`);
@@ -480,9 +830,10 @@ export async function emulate(client, device, width, height) {
 /**
  * Scroll an element into view by ref.
  */
-export async function scrollIntoView(client, port, targetId, refArg, agentId) {
-  const ref = resolveRef(port, targetId, refArg, agentId);
-  await callOnNode(client, ref.backendDOMNodeId, `function() {
+export async function scrollIntoView(client, port, targetId, refArg, agentId, opts = {}) {
+  const ref = await resolveRef(client, port, targetId, refArg, agentId);
+  await waitForActionable(client, ref, ATTACHED_CHECKS, opts.timeout);
+  await callOnNode(client, ref, `function() {
     this.scrollIntoView({ block: 'center', behavior: 'smooth' });
   }`);
   return { scrolled: true, ref: refArg };
@@ -0,0 +1,98 @@
+/**
+ * Element boxes — where refs and snapshot nodes are on screen.
+ *
+ * Boxes are in top-level viewport CSS pixels: boxes of elements inside
+ * iframes are translated by the iframe's offset (see frames.js), so they can
+ * be compared with the viewport or passed to Input.dispatchMouseEvent.
+ */
+import { sessionFor, frameOffset } from './frames.js';
+
+/**
+ * Get the bounding box of one element (or text node).
+ * @param {CDP.Client} client
+ * @param {{backendDOMNodeId: number, targetId?: string, frameOwners?: object[]}} data - Ref cache entry
+ * @param {Map<string, Promise<{x: number, y: number}>>} [offsets] - Frame offset cache shared across calls
+ * @returns {Promise<{x: number, y: number, width: number, height: number}|null>} null when the node is gone or has no size
+ */
+export async function getNodeBox(client, data, offsets) {
+  const { DOM, Runtime } = client;
+  try {
+    const sessionId = await sessionFor(client, data);
+    const { object } = await DOM.resolveNode({ backendNodeId: data.backendDOMNodeId }, sessionId);
+    if (!object || !object.objectId) return null;
+
+    const { result } = await Runtime.callFunctionOn({
+      objectId: object.objectId,
+      functionDeclaration: `function() {
+        let target = this;
+        if (this.nodeType === Node.TEXT_NODE) {
+          target = document.createRange();
+          target.selectNodeContents(this);
+        } else if (this.nodeType !== Node.ELEMENT_NODE) {
+          return null;
+        }
+        const r = target.getBoundingClientRect();
+        return { x: r.x, y: r.y, width: r.width, height: r.height };
+      }`,
+      returnByValue: true,
+    }, sessionId);
+    await Runtime.releaseObject({ objectId: object.objectId }, sessionId).catch(() => {});
+
+    const box = result.value;
+    if (!box || box.width === 0 || box.height === 0) return null;
+
+    let offset;
+    if (offsets) {
+      const key = JSON.stringify(data.frameOwners || []);
+      if (!offsets.has(key)) offsets.set(key, frameOffset(client, data));
+      offset = await offsets.get(key);
+    } else {
+      offset = await frameOffset(client, data);
+    }
+    return { x: box.x + offset.x, y: box.y + offset.y, width: box.width, height: box.height };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * For each ref, resolve its backendDOMNodeId to a bounding box via CDP.
+ * Returns array of {ref, number, role, name, box: {x, y, width, height}},
+ * sorted by ref number; refs without a box are left out.
+ * @param {CDP.Client} client
+ * @param {object} refs - Ref map
+ */
+export async function getRefBoundingBoxes(client, refs) {
+  const offsets = new Map();
+  const results = await Promise.all(Object.entries(refs).map(async ([ref, data]) => {
+    const box = await getNodeBox(client, data, offsets);
+    if (!box) return null;
+    return {
+      ref,
+      number: parseInt(ref.replace('e', ''), 10),
+      role: data.role,
+      name: data.name || undefined,
+      box: {
+        x: Math.round(box.x),
+        y: Math.round(box.y),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      },
+    };
+  }));
+
+  return results.filter(a => a !== null).sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Get the size of the top-level viewport.
+ * @param {CDP.Client} client
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function getViewport(client) {
+  const { result } = await client.Runtime.evaluate({
+    expression: `({ width: window.innerWidth, height: window.innerHeight })`,
+    returnByValue: true,
+  });
+  return result.value;
+}
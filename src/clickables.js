@@ -0,0 +1,81 @@
+/**
+ * Clickables — elements that react to clicks without an interactive role,
+ * like `<div onclick>` or `cursor: pointer` spans. `snapshot --cursor` gives
+ * them refs as `clickable "…"`.
+ *
+ * Two signals, both from the top document:
+ * - click-type listeners, found with DOMDebugger.getEventListeners over the
+ *   whole DOM (pierce: true, so open shadow roots count too), except on the
+ *   document, <html> and <body>, where delegated listeners live
+ * - a computed `cursor: pointer` that isn't just inherited from the parent
+ */
+
+/** Listener types that mean "this element does something when clicked" */
+const CLICK_EVENTS = new Set(['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup', 'touchstart']);
+
+/** Where page-wide delegated listeners are attached */
+const DELEGATION_ROOTS = '[document, document.documentElement, document.body]';
+
+/**
+ * Elements with a pointer cursor of their own. Elements that already have
+ * a role or are natively interactive are left to the AX tree.
+ */
+const POINTER_ELEMENTS = `(() => {
+  const NATIVE = 'a[href], button, input, select, textarea, summary, label, [role], [contenteditable=""], [contenteditable="true"]';
+  const out = [];
+  for (const el of document.querySelectorAll('body *')) {
+    if (el.matches(NATIVE)) continue;
+    if (getComputedStyle(el).cursor !== 'pointer') continue;
+    const parent = el.parentElement;
+    if (parent && getComputedStyle(parent).cursor === 'pointer') continue;
+    out.push(el);
+  }
+  return out;
+})()`;
+
+/**
+ * Get the backendNodeIds of every element in a remote array.
+ */
+async function backendIdsOf(client, arrayObjectId) {
+  const { result } = await client.Runtime.getProperties({ objectId: arrayObjectId, ownProperties: true });
+  const ids = await Promise.all(result
+    .filter(p => /^\d+$/.test(p.name) && p.value?.objectId)
+    .map(async p => {
+      const { node } = await client.DOM.describeNode({ objectId: p.value.objectId });
+      return node.backendNodeId;
+    }));
+  return ids;
+}
+
+/**
+ * Find clickable elements in the top document.
+ * @param {CDP.Client} client
+ * @returns {Promise<Set<number>>} backendNodeIds
+ */
+export async function findClickables(client) {
+  const { Runtime } = client;
+  const ids = new Set();
+
+  // Click listeners anywhere in the DOM
+  try {
+    const { result: doc } = await Runtime.evaluate({ expression: 'document' });
+    const { listeners } = await client.DOMDebugger.getEventListeners({ objectId: doc.objectId, depth: -1, pierce: true });
+    for (const l of listeners) {
+      if (CLICK_EVENTS.has(l.type) && l.backendNodeId) ids.add(l.backendNodeId);
+    }
+    await Runtime.releaseObject({ objectId: doc.objectId }).catch(() => {});
+    const { result: roots } = await Runtime.evaluate({ expression: DELEGATION_ROOTS, objectGroup: 'agent-chrome-clickables' });
+    for (const id of await backendIdsOf(client, roots.objectId)) ids.delete(id);
+  } catch {
+    // DOMDebugger unavailable — fall back to cursor styles alone
+  }
+
+  // Pointer cursors
+  const { result } = await Runtime.evaluate({ expression: POINTER_ELEMENTS, objectGroup: 'agent-chrome-clickables' });
+  if (result?.objectId) {
+    for (const id of await backendIdsOf(client, result.objectId)) ids.add(id);
+  }
+  await Runtime.releaseObjectGroup({ objectGroup: 'agent-chrome-clickables' }).catch(() => {});
+
+  return ids;
+}
@@ -3,6 +3,7 @@
  * Connects to a running Chrome instance and provides access to specific tabs.
  */
 import CDP from 'chrome-remote-interface';
+import { trackDialogs } from './dialogs.js';
 
 /**
  * List all page targets from Chrome's CDP endpoint.
@@ -23,6 +24,8 @@ export async function listTargets(port) {
  */
 export async function connectToTarget(port, targetId) {
   const client = await CDP({ port, target: targetId });
+  // Before Page.enable, which re-sends an already open dialog
+  trackDialogs(client);
   // Enable the domains we need
   await client.Page.enable();
   await client.DOM.enable();
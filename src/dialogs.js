@@ -0,0 +1,111 @@
+/**
+ * Native dialogs — alert(), confirm(), prompt() and beforeunload.
+ *
+ * A dialog blocks the page until it's handled, so any command waiting on
+ * the page would hang. Each connection tracks Page.javascriptDialogOpening
+ * (Chrome re-sends it on Page.enable for a dialog that is already open)
+ * and applies a policy:
+ *
+ *   accept    accept it (prompts get their default text) and carry on
+ *   dismiss   dismiss it and carry on
+ *   report    leave it open; the command stops waiting and reports it
+ */
+
+/** Per-client dialog state */
+const states = new WeakMap();
+
+export const DIALOG_POLICIES = ['accept', 'dismiss', 'report'];
+
+/**
+ * Start tracking dialogs on a client. Call before Page.enable so a dialog
+ * that is already open is seen.
+ * @param {CDP.Client} client
+ */
+export function trackDialogs(client) {
+  const state = { pending: null, policy: 'report', handled: [], waiters: [] };
+  states.set(client, state);
+
+  client.on('Page.javascriptDialogOpening', (params) => {
+    const dialog = {
+      type: params.type,
+      message: params.message,
+      defaultPrompt: params.defaultPrompt,
+      url: params.url,
+    };
+    state.pending = dialog;
+    if (state.policy === 'report') {
+      for (const resolve of state.waiters.splice(0)) resolve(dialog);
+      return;
+    }
+    const accept = state.policy === 'accept';
+    state.handled.push({ ...dialog, accepted: accept });
+    client.Page.handleJavaScriptDialog({ accept, promptText: dialog.defaultPrompt || '' }).catch(() => {});
+  });
+  client.on('Page.javascriptDialogClosed', () => {
+    state.pending = null;
+  });
+}
+
+/**
+ * The dialog that is open right now, if any.
+ * @param {CDP.Client} client
+ * @returns {{type: string, message: string, defaultPrompt?: string, url: string}|null}
+ */
+export function pendingDialog(client) {
+  return states.get(client)?.pending || null;
+}
+
+/**
+ * Set the policy for dialogs that open from now on; accept or dismiss also
+ * handles one that is already open.
+ * @param {CDP.Client} client
+ * @param {'accept'|'dismiss'|'report'} policy
+ * @returns {Promise<{handled: object[], opened: Promise<object>}>} `handled`
+ *   fills with the dialogs the policy handled ({...dialog, accepted});
+ *   `opened` resolves with the next dialog left open under `report`
+ */
+export async function applyDialogPolicy(client, policy) {
+  const state = states.get(client);
+  state.policy = policy;
+  if (policy !== 'report' && state.pending) {
+    const accept = policy === 'accept';
+    state.handled.push({ ...state.pending, accepted: accept });
+    await client.Page.handleJavaScriptDialog({ accept, promptText: state.pending.defaultPrompt || '' });
+  }
+  return {
+    handled: state.handled,
+    opened: new Promise(resolve => state.waiters.push(resolve)),
+  };
+}
+
+/**
+ * Accept or dismiss the open dialog.
+ * @param {CDP.Client} client
+ * @param {boolean} accept
+ * @param {string} [promptText] - Answer for a prompt()
+ * @returns {Promise<object|null>} The dialog, if it was known
+ */
+export async function handleDialog(client, accept, promptText) {
+  const dialog = pendingDialog(client);
+  const params = { accept };
+  if (promptText !== undefined) params.promptText = promptText;
+  try {
+    await client.Page.handleJavaScriptDialog(params);
+  } catch (err) {
+    if (/no dialog/i.test(err.message)) throw new Error('No dialog is open.');
+    throw err;
+  }
+  return dialog;
+}
+
+/**
+ * Describe a dialog for messages, e.g. `confirm dialog "Delete this item?"`.
+ * @param {object} dialog
+ * @returns {string}
+ */
+export function describeDialog(dialog) {
+  let desc = `${dialog.type} dialog`;
+  if (dialog.message) desc += ` "${dialog.message}"`;
+  if (dialog.type === 'prompt' && dialog.defaultPrompt) desc += ` (default "${dialog.defaultPrompt}")`;
+  return desc;
+}
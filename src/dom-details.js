@@ -0,0 +1,76 @@
+/**
+ * DOM details for `snapshot --verbose` that the AX tree doesn't carry:
+ * placeholder and autocomplete attributes, and validation messages of
+ * invalid fields.
+ *
+ * Read from one piercing DOM.getDocument walk, so open shadow roots and
+ * same-process iframes are covered; out-of-process iframes are not.
+ */
+
+/** Fields the user has made invalid, or that are marked aria-invalid */
+const INVALID_SELECTORS = [
+  ':user-invalid, [aria-invalid]:not([aria-invalid="false"])',
+  // Chrome before :user-invalid support
+  '[aria-invalid]:not([aria-invalid="false"])',
+];
+
+/**
+ * Collect details for every element that has any.
+ * @param {CDP.Client} client
+ * @returns {Promise<Map<number, {placeholder?: string, autocomplete?: string, validationMessage?: string}>>} backendNodeId → details
+ */
+export async function getDomDetails(client) {
+  const { DOM, Runtime } = client;
+  const details = new Map();
+  const { root } = await DOM.getDocument({ depth: -1, pierce: true });
+
+  const byNodeId = new Map();
+  const documents = [];
+  const walk = (node) => {
+    byNodeId.set(node.nodeId, node);
+    if (node.nodeName === '#document') documents.push(node);
+    const attrs = node.attributes || [];
+    for (let i = 0; i < attrs.length; i += 2) {
+      const name = attrs[i];
+      if (name === 'placeholder' || name === 'autocomplete') {
+        const entry = details.get(node.backendNodeId) || {};
+        entry[name] = attrs[i + 1];
+        details.set(node.backendNodeId, entry);
+      }
+    }
+    for (const child of node.children || []) walk(child);
+    for (const shadow of node.shadowRoots || []) walk(shadow);
+    if (node.contentDocument) walk(node.contentDocument);
+  };
+  walk(root);
+
+  // querySelectorAll doesn't cross documents, so ask each one
+  for (const doc of documents) {
+    let nodeIds = [];
+    for (const selector of INVALID_SELECTORS) {
+      try {
+        ({ nodeIds } = await DOM.querySelectorAll({ nodeId: doc.nodeId, selector }));
+        break;
+      } catch {
+        // Unsupported selector — try the next one
+      }
+    }
+    for (const nodeId of nodeIds) {
+      const node = byNodeId.get(nodeId);
+      if (!node) continue;
+      const { object } = await DOM.resolveNode({ nodeId });
+      if (!object?.objectId) continue;
+      const { result } = await Runtime.callFunctionOn({
+        objectId: object.objectId,
+        functionDeclaration: 'function() { return this.validationMessage || ""; }',
+        returnByValue: true,
+      });
+      await Runtime.releaseObject({ objectId: object.objectId }).catch(() => {});
+      const entry = details.get(node.backendNodeId) || {};
+      entry.validationMessage = result.value;
+      details.set(node.backendNodeId, entry);
+    }
+  }
+
+  return details;
+}
@@ -0,0 +1,104 @@
+/**
+ * Frame sessions — routing CDP calls into iframes.
+ *
+ * Cross-origin iframes run out of process (OOPIFs) and have their own CDP
+ * target. We attach to them with Target.setAutoAttach in flatten mode, so
+ * each iframe gets a sessionId multiplexed over the tab's connection, and
+ * DOM/Runtime/Accessibility calls for that frame pass the sessionId.
+ *
+ * Sessions end when the connection closes, so refs remember the iframe's
+ * targetId (and the chain of <iframe> elements above it); each invocation
+ * re-attaches and looks the session up by targetId.
+ */
+
+const AUTO_ATTACH = { autoAttach: true, waitForDebuggerOnStart: false, flatten: true };
+
+/** Per-client cache of attached iframe targets */
+const frameTargets = new WeakMap();
+
+/**
+ * Attach to every out-of-process iframe in the tab, including OOPIFs nested
+ * inside other OOPIFs.
+ * @param {CDP.Client} client
+ * @returns {Promise<Map<string, {sessionId: string, url: string}>>} targetId (= frameId) → session
+ */
+export async function attachFrameTargets(client) {
+  if (frameTargets.has(client)) return frameTargets.get(client);
+
+  const targets = new Map();
+  frameTargets.set(client, targets);
+
+  client.on('Target.attachedToTarget', ({ sessionId, targetInfo }) => {
+    if (targetInfo.type !== 'iframe') return;
+    targets.set(targetInfo.targetId, { sessionId, url: targetInfo.url });
+    client.send('DOM.enable', {}, sessionId).catch(() => {});
+    // Auto-attach is per session — repeat it so nested OOPIFs attach too
+    client.send('Target.setAutoAttach', AUTO_ATTACH, sessionId).catch(() => {});
+  });
+
+  try {
+    await client.send('Target.setAutoAttach', AUTO_ATTACH);
+  } catch {
+    // Attach denied — same-process frames still work via the root session
+    return targets;
+  }
+
+  // Attach events for existing iframes arrive right after the command
+  // returns; give nested ones a moment too.
+  await new Promise(r => setTimeout(r, 100));
+  return targets;
+}
+
+/**
+ * Get the CDP session that owns a ref's element. Top-frame and same-process
+ * iframe refs have no targetId and use the root session (undefined).
+ * @param {CDP.Client} client
+ * @param {{targetId?: string}} ref
+ * @returns {Promise<string|undefined>}
+ */
+export async function sessionFor(client, ref) {
+  if (!ref.targetId) return undefined;
+  const targets = await attachFrameTargets(client);
+  const target = targets.get(ref.targetId);
+  if (!target) {
+    throw new Error('The iframe containing this element is gone. Run `agent-chrome snapshot` to refresh refs.');
+  }
+  return target.sessionId;
+}
+
+/**
+ * Offset of a ref's frame relative to the top-level viewport — the sum of
+ * the content-box origins of every <iframe> element above it. Add it to a
+ * getBoundingClientRect() taken inside the frame to get coordinates usable
+ * with Input.dispatchMouseEvent.
+ * @param {CDP.Client} client
+ * @param {{frameOwners?: Array<{backendDOMNodeId: number, targetId?: string}>}} ref
+ * @returns {Promise<{x: number, y: number}>}
+ */
+export async function frameOffset(client, ref) {
+  let x = 0;
+  let y = 0;
+  for (const owner of ref.frameOwners || []) {
+    const sessionId = await sessionFor(client, owner);
+    const { object } = await client.DOM.resolveNode({ backendNodeId: owner.backendDOMNodeId }, sessionId);
+    if (!object || !object.objectId) {
+      throw new Error('The iframe containing this element is gone. Run `agent-chrome snapshot` to refresh refs.');
+    }
+    const { result } = await client.Runtime.callFunctionOn({
+      objectId: object.objectId,
+      functionDeclaration: `function() {
+        const r = this.getBoundingClientRect();
+        const s = getComputedStyle(this);
+        return {
+          x: r.left + this.clientLeft + parseFloat(s.paddingLeft),
+          y: r.top + this.clientTop + parseFloat(s.paddingTop),
+        };
+      }`,
+      returnByValue: true,
+    }, sessionId);
+    await client.Runtime.releaseObject({ objectId: object.objectId }, sessionId).catch(() => {});
+    x += result.value.x;
+    y += result.value.y;
+  }
+  return { x, y };
+}
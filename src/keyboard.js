@@ -0,0 +1,402 @@
+/**
+ * Keyboard — a US-layout key table and the key events built from it, for
+ * `press`, `keydown`/`keyup`, `type --keys`, fill's select-all, and modifier
+ * keys held during mouse actions (`--modifiers Ctrl,Shift`).
+ *
+ * Keys are named by their `key` value (`a`, `A`, `Enter`, `!`), their
+ * `code` (`KeyA`, `Digit1`, `ShiftRight`) or an alias (`Ctrl`, `Cmd`, `Esc`,
+ * `Up`, ...); names longer than one character are case-insensitive. Chords
+ * join modifiers and a key with `+`: `Control+Shift+K`, `Meta++`. A
+ * capital letter after modifiers without Shift is the plain letter key.
+ * `ControlOrMeta` is Meta on macOS and Control elsewhere.
+ *
+ * Modifiers are sent both as a bit mask on the Input events and as real
+ * keyDown/keyUp events, for pages that track the keys themselves. Keys held
+ * with keyDown are tracked per client until keyUp (the CLI saves them
+ * between invocations), and held modifiers apply to every later key and
+ * mouse event.
+ */
+
+/** CDP modifier bits and key event params for each modifier */
+export const MODIFIERS = {
+  Alt:     { bit: 1, key: 'Alt',     code: 'AltLeft',     windowsVirtualKeyCode: 18 },
+  Control: { bit: 2, key: 'Control', code: 'ControlLeft', windowsVirtualKeyCode: 17 },
+  Meta:    { bit: 4, key: 'Meta',    code: 'MetaLeft',    windowsVirtualKeyCode: 91 },
+  Shift:   { bit: 8, key: 'Shift',   code: 'ShiftLeft',   windowsVirtualKeyCode: 16 },
+};
+
+/** Other names people use for the modifiers (lowercase) */
+const MODIFIER_ALIASES = {
+  alt: 'Alt', option: 'Alt', opt: 'Alt',
+  ctrl: 'Control', control: 'Control',
+  meta: 'Meta', cmd: 'Meta', command: 'Meta', win: 'Meta', super: 'Meta',
+  shift: 'Shift',
+  controlormeta: 'ControlOrMeta', ctrlormeta: 'ControlOrMeta', ctrlorcmd: 'ControlOrMeta',
+};
+
+// ── Key table ────────────────────────────────────────────────────────
+
+/** code → {keyCode, key, shiftKey?, text?, location?} */
+const KEYS = {};
+
+function define(code, keyCode, key, shiftKey, extra = {}) {
+  KEYS[code] = { keyCode, key, shiftKey, ...extra };
+}
+
+for (let i = 0; i < 26; i++) {
+  const letter = String.fromCharCode(97 + i);
+  define(`Key${letter.toUpperCase()}`, 65 + i, letter, letter.toUpperCase());
+}
+')!@#$%^&*('.split('').forEach((shifted, digit) => define(`Digit${digit}`, 48 + digit, String(digit), shifted));
+for (const [code, keyCode, key, shiftKey] of [
+  ['Semicolon', 186, ';', ':'], ['Equal', 187, '=', '+'], ['Comma', 188, ',', '<'],
+  ['Minus', 189, '-', '_'], ['Period', 190, '.', '>'], ['Slash', 191, '/', '?'],
+  ['Backquote', 192, '`', '~'], ['BracketLeft', 219, '[', '{'], ['Backslash', 220, '\\', '|'],
+  ['BracketRight', 221, ']', '}'], ['Quote', 222, "'", '"'],
+]) {
+  define(code, keyCode, key, shiftKey);
+}
+define('Space', 32, ' ');
+define('Enter', 13, 'Enter', undefined, { text: '\r' });
+define('Tab', 9, 'Tab');
+define('Backspace', 8, 'Backspace');
+define('Escape', 27, 'Escape');
+define('Delete', 46, 'Delete');
+define('Insert', 45, 'Insert');
+define('Home', 36, 'Home');
+define('End', 35, 'End');
+define('PageUp', 33, 'PageUp');
+define('PageDown', 34, 'PageDown');
+define('ArrowLeft', 37, 'ArrowLeft');
+define('ArrowUp', 38, 'ArrowUp');
+define('ArrowRight', 39, 'ArrowRight');
+define('ArrowDown', 40, 'ArrowDown');
+define('ShiftLeft', 16, 'Shift', undefined, { location: 1 });
+define('ControlLeft', 17, 'Control', undefined, { location: 1 });
+define('AltLeft', 18, 'Alt', undefined, { location: 1 });
+define('MetaLeft', 91, 'Meta', undefined, { location: 1 });
+define('ShiftRight', 16, 'Shift', undefined, { location: 2 });
+define('ControlRight', 17, 'Control', undefined, { location: 2 });
+define('AltRight', 18, 'Alt', undefined, { location: 2 });
+define('MetaRight', 92, 'Meta', undefined, { location: 2 });
+define('CapsLock', 20, 'CapsLock');
+define('NumLock', 144, 'NumLock');
+define('ScrollLock', 145, 'ScrollLock');
+define('Pause', 19, 'Pause');
+define('PrintScreen', 44, 'PrintScreen');
+define('ContextMenu', 93, 'ContextMenu');
+for (let n = 1; n <= 24; n++) define(`F${n}`, 111 + n, `F${n}`);
+for (let n = 0; n <= 9; n++) define(`Numpad${n}`, 96 + n, String(n), undefined, { location: 3 });
+define('NumpadMultiply', 106, '*', undefined, { location: 3 });
+define('NumpadAdd', 107, '+', undefined, { location: 3 });
+define('NumpadSubtract', 109, '-', undefined, { location: 3 });
+define('NumpadDecimal', 110, '.', undefined, { location: 3 });
+define('NumpadDivide', 111, '/', undefined, { location: 3 });
+define('NumpadEnter', 13, 'Enter', undefined, { text: '\r', location: 3 });
+
+/** Aliases → code (lowercase) */
+const KEY_ALIASES = {
+  ctrl: 'ControlLeft', control: 'ControlLeft', shift: 'ShiftLeft', alt: 'AltLeft', option: 'AltLeft',
+  meta: 'MetaLeft', cmd: 'MetaLeft', command: 'MetaLeft', win: 'MetaLeft', super: 'MetaLeft',
+  esc: 'Escape', return: 'Enter', del: 'Delete', ins: 'Insert', space: 'Space', spacebar: 'Space',
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+  pgup: 'PageUp', pgdn: 'PageDown', pagedown: 'PageDown', pageup: 'PageUp',
+  plus: 'Equal', menu: 'ContextMenu',
+};
+
+/** Key name → {code, shifted}. The main keyboard wins over the numpad. */
+const BY_NAME = new Map();
+for (const [code, def] of Object.entries(KEYS)) {
+  const add = (name, shifted) => { if (!BY_NAME.has(name)) BY_NAME.set(name, { code, shifted }); };
+  add(code, false);
+  add(def.key, false);
+  if (def.shiftKey) add(def.shiftKey, true);
+}
+for (const [name, entry] of [...BY_NAME]) {
+  if (name.length > 1 && !BY_NAME.has(name.toLowerCase())) BY_NAME.set(name.toLowerCase(), entry);
+}
+for (const [alias, code] of Object.entries(KEY_ALIASES)) {
+  BY_NAME.set(alias, { code, shifted: alias === 'plus' });
+}
+
+/**
+ * Look up a key by name.
+ * @param {string} name
+ * @returns {{code: string, shifted: boolean}}
+ */
+export function lookupKey(name) {
+  const entry = BY_NAME.get(name) || (name.length > 1 && BY_NAME.get(name.toLowerCase()));
+  if (!entry) {
+    throw new Error(`Unknown key "${name}". Use a key like Enter, Tab, ArrowDown, F5, PageDown, a, A or !, or a code like KeyA.`);
+  }
+  return entry;
+}
+
+// ── Modifiers ────────────────────────────────────────────────────────
+
+/**
+ * Canonical modifier name (a key of MODIFIERS, or 'ControlOrMeta'), or
+ * null if `name` isn't a modifier.
+ */
+function modifierName(name) {
+  return MODIFIER_ALIASES[name.toLowerCase()] || null;
+}
+
+/**
+ * Parse a comma-separated modifier list like "Ctrl,Shift".
+ * @param {string} [str]
+ * @returns {string[]} Canonical names (keys of MODIFIERS, or 'ControlOrMeta')
+ */
+export function parseModifiers(str) {
+  if (!str) return [];
+  return str.split(/[,+]/).map(s => s.trim()).filter(Boolean).map(name => {
+    const canonical = modifierName(name);
+    if (!canonical) {
+      throw new Error(`Unknown modifier "${name}". Use Alt, Ctrl, Meta (Cmd), Shift or ControlOrMeta.`);
+    }
+    return canonical;
+  });
+}
+
+/**
+ * Parse a chord like "Control+Shift+K" into its modifiers and key.
+ * @param {string} chord
+ * @returns {{modifiers: string[], key: string}}
+ */
+export function parseChord(chord) {
+  // A "+" at the end is the plus key itself: "+", "Control++"
+  let parts;
+  if (chord === '+') parts = ['+'];
+  else if (chord.endsWith('++')) parts = [...chord.slice(0, -2).split('+'), '+'];
+  else parts = chord.split('+');
+  if (parts.some(p => p === '')) throw new Error(`Invalid key chord "${chord}".`);
+  let key = parts.pop();
+  const modifiers = parts.map(part => {
+    const canonical = modifierName(part);
+    if (!canonical) throw new Error(`"${part}" in "${chord}" is not a modifier. Use Alt, Control, Meta, Shift or ControlOrMeta.`);
+    return canonical;
+  });
+  // "Control+K" is the K key, not Shift+K; Shift has to be spelled out
+  if (/^[A-Z]$/.test(key) && modifiers.length && !modifiers.includes('Shift')) key = key.toLowerCase();
+  lookupKey(key);
+  return { modifiers, key };
+}
+
+/** Per-client state: platform and keys held with keyDown */
+const states = new WeakMap();
+
+function stateOf(client) {
+  if (!states.has(client)) states.set(client, { held: [], mac: undefined });
+  return states.get(client);
+}
+
+/**
+ * Whether the browser runs on macOS, where shortcuts use Meta and editing
+ * shortcuts need explicit commands.
+ */
+async function isMac(client) {
+  const state = stateOf(client);
+  if (state.mac === undefined) {
+    try {
+      const { result } = await client.Runtime.evaluate({ expression: 'navigator.platform', returnByValue: true });
+      state.mac = /^Mac/.test(result?.value || '');
+    } catch {
+      state.mac = false;
+    }
+  }
+  return state.mac;
+}
+
+/**
+ * Replace ControlOrMeta with the platform's modifier.
+ */
+async function platformModifiers(client, names) {
+  if (!names.includes('ControlOrMeta')) return names;
+  const mac = await isMac(client);
+  return names.map(n => (n === 'ControlOrMeta' ? (mac ? 'Meta' : 'Control') : n));
+}
+
+/**
+ * The CDP `modifiers` bit mask for a list of modifier names.
+ * @param {string[]} names
+ * @returns {number}
+ */
+export function modifierBits(names) {
+  return names.reduce((bits, name) => bits | (MODIFIERS[name]?.bit || 0), 0);
+}
+
+/**
+ * Bits of the modifiers held with keyDown.
+ */
+function heldBits(client) {
+  return modifierBits(stateOf(client).held.map(name => KEYS[lookupKey(name).code].key));
+}
+
+/**
+ * Press and hold modifier keys (on top of any held with keyDown).
+ * @param {CDP.Client} client
+ * @param {string[]} names
+ * @returns {Promise<number>} The modifier bit mask while they're held
+ */
+export async function holdModifiers(client, names) {
+  names = await platformModifiers(client, names);
+  let bits = heldBits(client);
+  for (const name of names) {
+    const { bit, ...key } = MODIFIERS[name];
+    bits |= bit;
+    await client.Input.dispatchKeyEvent({ type: 'rawKeyDown', ...key, nativeVirtualKeyCode: key.windowsVirtualKeyCode, location: 1, modifiers: bits });
+  }
+  return bits;
+}
+
+/**
+ * Release modifier keys held with holdModifiers, in reverse order.
+ * @param {CDP.Client} client
+ * @param {string[]} names
+ */
+export async function releaseModifiers(client, names) {
+  names = await platformModifiers(client, names);
+  let bits = heldBits(client) | modifierBits(names);
+  for (const name of [...names].reverse()) {
+    const { bit, ...key } = MODIFIERS[name];
+    bits &= ~bit;
+    await client.Input.dispatchKeyEvent({ type: 'keyUp', ...key, nativeVirtualKeyCode: key.windowsVirtualKeyCode, location: 1, modifiers: bits });
+  }
+}
+
+// ── Key events ───────────────────────────────────────────────────────
+
+/** macOS editing shortcuts, which Chrome only performs when told the command */
+const MAC_COMMANDS = {
+  [`${MODIFIERS.Meta.bit}:KeyA`]: 'selectAll',
+  [`${MODIFIERS.Meta.bit}:KeyC`]: 'copy',
+  [`${MODIFIERS.Meta.bit}:KeyX`]: 'cut',
+  [`${MODIFIERS.Meta.bit}:KeyV`]: 'paste',
+  [`${MODIFIERS.Meta.bit}:KeyZ`]: 'undo',
+  [`${MODIFIERS.Meta.bit | MODIFIERS.Shift.bit}:KeyZ`]: 'redo',
+};
+
+/**
+ * Build keyDown params for a key with the given modifiers down. Shifted
+ * names (`A`, `!`) add Shift. Chords with Control, Alt or Meta send no text,
+ * so they act as shortcuts rather than typing.
+ */
+async function keyParams(client, name, bits) {
+  const { code, shifted } = lookupKey(name);
+  const def = KEYS[code];
+  if (shifted) bits |= MODIFIERS.Shift.bit;
+  if (MODIFIERS[def.key]) bits |= MODIFIERS[def.key].bit;
+
+  const key = (bits & MODIFIERS.Shift.bit) && def.shiftKey ? def.shiftKey : def.key;
+  let text = def.text !== undefined ? def.text : (key.length === 1 ? key : '');
+  if (bits & (MODIFIERS.Control.bit | MODIFIERS.Alt.bit | MODIFIERS.Meta.bit)) text = '';
+
+  const params = {
+    key,
+    code,
+    windowsVirtualKeyCode: def.keyCode,
+    nativeVirtualKeyCode: def.keyCode,
+    modifiers: bits,
+  };
+  if (def.location) params.location = def.location;
+  if (text) {
+    params.text = text;
+    params.unmodifiedText = text;
+  }
+  const command = MAC_COMMANDS[`${bits}:${code}`];
+  if (command && await isMac(client)) params.commands = [command];
+  return params;
+}
+
+/**
+ * Press and release a key or chord, e.g. "Enter", "Control+Shift+K" or
+ * "ControlOrMeta+a".
+ * @param {CDP.Client} client
+ * @param {string} chord
+ */
+export async function pressKey(client, chord) {
+  const { Input } = client;
+  const { modifiers, key } = parseChord(chord);
+  const bits = await holdModifiers(client, modifiers);
+  try {
+    const params = await keyParams(client, key, bits);
+    await Input.dispatchKeyEvent({ type: params.text ? 'keyDown' : 'rawKeyDown', ...params });
+    const { text, unmodifiedText, commands, ...up } = params;
+    await Input.dispatchKeyEvent({ type: 'keyUp', ...up });
+  } finally {
+    await releaseModifiers(client, modifiers);
+  }
+}
+
+/**
+ * Press a key and keep it held (until keyUp). Pressing a held key again
+ * sends an auto-repeat keyDown.
+ * @param {CDP.Client} client
+ * @param {string} name
+ */
+export async function keyDown(client, name) {
+  const state = stateOf(client);
+  const { code } = lookupKey(name);
+  const repeat = state.held.some(h => lookupKey(h).code === code);
+  const params = await keyParams(client, name, heldBits(client));
+  await client.Input.dispatchKeyEvent({ type: params.text ? 'keyDown' : 'rawKeyDown', ...params, autoRepeat: repeat });
+  if (!repeat) state.held.push(name);
+}
+
+/**
+ * Release a key held with keyDown.
+ * @param {CDP.Client} client
+ * @param {string} name
+ */
+export async function keyUp(client, name) {
+  const state = stateOf(client);
+  const { code } = lookupKey(name);
+  state.held = state.held.filter(h => lookupKey(h).code !== code);
+  const { text, unmodifiedText, commands, ...params } = await keyParams(client, name, heldBits(client));
+  const own = MODIFIERS[KEYS[code].key];
+  if (own) params.modifiers &= ~own.bit;
+  await client.Input.dispatchKeyEvent({ type: 'keyUp', ...params });
+}
+
+/**
+ * Keys held with keyDown, in the order they were pressed.
+ * @param {CDP.Client} client
+ * @returns {string[]}
+ */
+export function heldKeys(client) {
+  return [...stateOf(client).held];
+}
+
+/**
+ * Restore keys held in an earlier invocation (no events are sent).
+ * @param {CDP.Client} client
+ * @param {string[]} names
+ */
+export function setHeldKeys(client, names) {
+  stateOf(client).held = [...names];
+}
+
+/**
+ * Type text one key at a time, with the full keyDown/keypress/keyUp
+ * sequence for each character, for inputs that listen to keys. Shifted
+ * characters hold Shift, newlines press Enter and tabs press Tab.
+ * Characters not on the US layout (é, emoji) are inserted as text.
+ * @param {CDP.Client} client
+ * @param {string} text
+ * @param {object} [opts] - {delay?: number (ms between keys)}
+ */
+export async function typeKeys(client, text, { delay = 0 } = {}) {
+  let first = true;
+  for (const char of text.replace(/\r\n?/g, '\n')) {
+    if (!first && delay > 0) await new Promise(r => setTimeout(r, delay));
+    first = false;
+
+    const name = char === '\n' ? 'Enter' : char === '\t' ? 'Tab' : char;
+    const entry = BY_NAME.get(name);
+    if (!entry) {
+      await client.Input.insertText({ text: char });
+    } else {
+      await pressKey(client, entry.shifted ? `Shift+${name}` : name);
+    }
+  }
+}
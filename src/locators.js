@@ -0,0 +1,125 @@
+/**
+ * Locators — find an element from a description instead of a cached ref.
+ *
+ *   role=button[name="Submit"]   AX role, optionally with accessible name
+ *   text="Sign in"               element whose name or text is "Sign in"
+ *   label="Email"                form control labeled "Email"
+ *   css=#foo                     CSS selector (top document)
+ *   xpath=//form//button         XPath expression (top document)
+ *
+ * Quoted values match exactly; unquoted values match a case-insensitive
+ * substring. Locators are resolved live on every command, so they survive
+ * re-renders, and must match exactly one element.
+ */
+import { findNodes } from './snapshot.js';
+
+/** Roles a `label=` locator can point at */
+const LABELED_ROLES = new Set([
+  'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio',
+  'switch', 'slider', 'spinbutton',
+]);
+
+/**
+ * Split a locator value into {value, exact}: quoted means exact.
+ */
+function unquote(raw) {
+  const m = raw.match(/^(["'])(.*)\1$/s);
+  return m ? { value: m[2], exact: true } : { value: raw, exact: false };
+}
+
+/**
+ * Parse a locator string.
+ * @param {string} str
+ * @returns {{kind: 'role'|'text'|'label'|'css'|'xpath', value?: string, exact?: boolean, role?: string}|null} null if `str` isn't a locator
+ */
+export function parseLocator(str) {
+  const m = str.match(/^(role|text|label|css|xpath)=(.+)$/s);
+  if (!m) return null;
+  const [, kind, rest] = m;
+
+  if (kind === 'css' || kind === 'xpath') return { kind, value: rest };
+
+  if (kind === 'role') {
+    const rm = rest.match(/^([\w-]+)(?:\[name=(.+)\])?$/s);
+    if (!rm) {
+      throw new Error(`Invalid locator "${str}". Expected role=<role> or role=<role>[name="..."]`);
+    }
+    if (rm[2] === undefined) return { kind, role: rm[1] };
+    return { kind, role: rm[1], ...unquote(rm[2]) };
+  }
+
+  return { kind, ...unquote(rest) };
+}
+
+/**
+ * Resolve a CSS selector or XPath in the top document. Returns the ref
+ * data of the single match.
+ */
+async function resolveDomLocator(client, locator, str) {
+  const find = locator.kind === 'css'
+    ? `Array.from(document.querySelectorAll(${JSON.stringify(locator.value)}))`
+    : `(() => {
+        const r = document.evaluate(${JSON.stringify(locator.value)}, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        return Array.from({ length: r.snapshotLength }, (_, i) => r.snapshotItem(i));
+      })()`;
+  const { result, exceptionDetails } = await client.Runtime.evaluate({
+    expression: `(() => { const nodes = ${find}; return nodes.length === 1 ? nodes[0] : nodes.length; })()`,
+  });
+  if (exceptionDetails) {
+    throw new Error(`Invalid locator "${str}": ${exceptionDetails.exception?.description?.split('\n')[0] || exceptionDetails.text}`);
+  }
+  if (result.type === 'number') throw countError(str, result.value);
+
+  const { node } = await client.DOM.describeNode({ objectId: result.objectId });
+  await client.Runtime.releaseObject({ objectId: result.objectId }).catch(() => {});
+
+  let role = node.localName || node.nodeName.toLowerCase();
+  let name = '';
+  try {
+    const { nodes } = await client.Accessibility.getPartialAXTree({ backendNodeId: node.backendNodeId, fetchRelatives: false });
+    const ax = nodes.find(n => n.backendDOMNodeId === node.backendNodeId) || nodes[0];
+    if (ax?.role?.value) role = ax.role.value.charAt(0).toLowerCase() + ax.role.value.slice(1);
+    name = ax?.name?.value || '';
+  } catch {
+    // Keep the tag name
+  }
+  return { backendDOMNodeId: node.backendNodeId, role, name };
+}
+
+/**
+ * Error for a locator that didn't match exactly one element. `err.count`
+ * holds the number of matches.
+ */
+function countError(str, count, matches = []) {
+  let err;
+  if (count === 0) {
+    err = new Error(`Locator "${str}" matched no elements.`);
+  } else {
+    const shown = matches.slice(0, 5).map(m => `${m.role}${m.name ? ` "${m.name}"` : ''}`).join(', ');
+    err = new Error(`Locator "${str}" matched ${count} elements${shown ? ` (${shown}${count > 5 ? ', ...' : ''})` : ''}. Make it more specific.`);
+  }
+  err.count = count;
+  return err;
+}
+
+/**
+ * Resolve a locator against the live page.
+ * @param {CDP.Client} client
+ * @param {string} str - Locator string
+ * @returns {Promise<object|null>} Ref data like a ref cache entry, or null if `str` isn't a locator
+ */
+export async function resolveLocator(client, str) {
+  const locator = parseLocator(str);
+  if (!locator) return null;
+
+  if (locator.kind === 'css' || locator.kind === 'xpath') {
+    return resolveDomLocator(client, locator, str);
+  }
+
+  const opts = { exact: locator.exact };
+  if (locator.kind === 'role') opts.role = locator.role;
+  if (locator.kind === 'label') opts.roles = LABELED_ROLES;
+  const { matches, refs } = await findNodes(client, locator.value, opts);
+  if (matches.length !== 1) throw countError(str, matches.length, matches);
+  return refs[matches[0].ref];
+}
@@ -0,0 +1,215 @@
+/**
+ * Reader mode — extract a page's main content as Markdown.
+ *
+ * Picks the content root (a ref's element, else the `main`/`article`
+ * landmark, else the block with the densest non-link text) and converts it
+ * in-page: headings, paragraphs, lists, links with URLs, tables, code,
+ * quotes and image alt text. Navigation, asides, forms and hidden elements
+ * are dropped.
+ */
+import { sessionFor } from './frames.js';
+
+/**
+ * In-page extractor. Takes the root element (or null to pick one) and
+ * returns {title, markdown}. Runs in the page, so it must be self-contained.
+ */
+const EXTRACT = `function extract(root) {
+  // Checked against the uppercased tag: SVG elements keep lowercase names
+  const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME',
+    'NAV', 'ASIDE', 'FOOTER', 'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'DIALOG']);
+  const SKIP_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'menu', 'menubar']);
+
+  function hidden(el) {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    const s = getComputedStyle(el);
+    return s.display === 'none' || s.visibility === 'hidden';
+  }
+
+  // Children as rendered: a shadow host's shadow tree, and for a <slot> the
+  // light-DOM nodes assigned to it (its own children are only a fallback)
+  function childrenOf(node) {
+    if (node.shadowRoot) return node.shadowRoot.childNodes;
+    if (node.tagName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      if (assigned.length > 0) return assigned;
+    }
+    return node.childNodes;
+  }
+
+  function textLength(el) {
+    return (el.innerText || '').replace(/\\s+/g, ' ').trim().length;
+  }
+
+  // Content density: text in paragraphs, penalized by the share of link text
+  function score(el) {
+    const text = textLength(el);
+    if (text < 200) return 0;
+    let links = 0;
+    for (const a of el.querySelectorAll('a')) links += textLength(a);
+    const paragraphs = el.querySelectorAll('p').length;
+    return text * (1 - links / text) * (1 + Math.min(paragraphs, 20) / 10);
+  }
+
+  function pickRoot() {
+    const main = document.querySelector('main, [role="main"]');
+    if (main && textLength(main) > 0) {
+      const articles = main.querySelectorAll('article, [role="article"]');
+      return articles.length === 1 ? articles[0] : main;
+    }
+    const articles = document.querySelectorAll('article, [role="article"]');
+    if (articles.length === 1) return articles[0];
+    let best = document.body;
+    let bestScore = 0;
+    for (const el of document.querySelectorAll('article, section, div, td')) {
+      const s = score(el);
+      if (s === 0) continue;
+      // Prefer the innermost block that holds most of the content
+      if (s > bestScore * 1.1 || (s >= bestScore * 0.9 && best.contains(el))) {
+        best = el;
+        bestScore = Math.max(s, bestScore);
+      }
+    }
+    return best;
+  }
+
+  function inline(node, skipLists) {
+    let out = '';
+    for (const child of childrenOf(node)) {
+      if (skipLists && (child.tagName === 'UL' || child.tagName === 'OL')) continue;
+      out += inlineNode(child);
+    }
+    return out;
+  }
+
+  function inlineNode(child) {
+    if (child.nodeType === Node.TEXT_NODE) return child.textContent.replace(/\\s+/g, ' ');
+    if (child.nodeType !== Node.ELEMENT_NODE || SKIP.has(child.tagName.toUpperCase()) || hidden(child)) return '';
+    const tag = child.tagName;
+    if (tag === 'BR') return '\\n';
+    if (tag === 'IMG') return child.alt ? '![' + child.alt.trim() + '](' + child.src + ')' : '';
+    if (tag === 'A') {
+      const text = inline(child).trim();
+      const href = child.getAttribute('href');
+      if (text && href && !href.startsWith('javascript:')) return '[' + text + '](' + child.href + ')';
+      return text;
+    }
+    if (tag === 'STRONG' || tag === 'B') { const t = inline(child).trim(); return t ? '**' + t + '**' : ''; }
+    if (tag === 'EM' || tag === 'I') { const t = inline(child).trim(); return t ? '_' + t + '_' : ''; }
+    if (tag === 'CODE') return '\`' + child.textContent + '\`';
+    return inline(child);
+  }
+
+  function cell(el) {
+    return inline(el).replace(/\\s+/g, ' ').replace(/\\|/g, '\\\\|').trim();
+  }
+
+  function table(el) {
+    const rows = Array.from(el.rows || []).filter(r => !hidden(r));
+    if (rows.length === 0) return '';
+    const grid = rows.map(r => Array.from(r.cells).map(cell));
+    const width = Math.max(...grid.map(r => r.length));
+    const line = r => '| ' + Array.from({ length: width }, (_, i) => r[i] || '').join(' | ') + ' |';
+    const out = [line(grid[0]), '|' + ' --- |'.repeat(width)];
+    for (const r of grid.slice(1)) out.push(line(r));
+    return out.join('\\n');
+  }
+
+  function list(el, depth) {
+    const ordered = el.tagName === 'OL';
+    const lines = [];
+    let n = 1;
+    for (const li of el.children) {
+      if (li.tagName !== 'LI' || hidden(li)) continue;
+      const marker = ordered ? (n++) + '.' : '-';
+      lines.push('  '.repeat(depth) + marker + ' ' + inline(li, true).replace(/\\s+/g, ' ').trim());
+      for (const sub of li.querySelectorAll(':scope > ul, :scope > ol')) {
+        const nested = list(sub, depth + 1);
+        if (nested) lines.push(nested);
+      }
+    }
+    return lines.join('\\n');
+  }
+
+  // Convert block-level structure; inline runs between blocks become paragraphs
+  function blocks(node, out) {
+    let run = '';
+    const flush = () => {
+      const text = run.replace(/[ \\t]+/g, ' ').replace(/ *\\n */g, '\\n').trim();
+      if (text) out.push(text);
+      run = '';
+    };
+    for (const child of childrenOf(node)) {
+      if (child.nodeType === Node.TEXT_NODE) { run += child.textContent; continue; }
+      if (child.nodeType !== Node.ELEMENT_NODE || SKIP.has(child.tagName.toUpperCase()) || hidden(child)) continue;
+      if (SKIP_ROLES.has(child.getAttribute('role'))) continue;
+      const tag = child.tagName;
+      const h = /^H([1-6])$/.exec(tag);
+      if (h) { flush(); const t = inline(child).replace(/\\s+/g, ' ').trim(); if (t) out.push('#'.repeat(+h[1]) + ' ' + t); }
+      else if (tag === 'P') { flush(); const t = inline(child).replace(/[ \\t]+/g, ' ').trim(); if (t) out.push(t); }
+      else if (tag === 'UL' || tag === 'OL') { flush(); const t = list(child, 0); if (t) out.push(t); }
+      else if (tag === 'TABLE') { flush(); const t = table(child); if (t) out.push(t); }
+      else if (tag === 'PRE') { flush(); out.push('\`\`\`\\n' + child.textContent.replace(/\\n$/, '') + '\\n\`\`\`'); }
+      else if (tag === 'BLOCKQUOTE') { flush(); const inner = []; blocks(child, inner); if (inner.length) out.push(inner.join('\\n\\n').replace(/^/gm, '> ')); }
+      else if (tag === 'HR') { flush(); out.push('---'); }
+      else if (tag === 'IMG' || tag === 'A' || tag === 'STRONG' || tag === 'B' || tag === 'EM' || tag === 'I' ||
+               tag === 'CODE' || tag === 'SPAN' || tag === 'BR' || tag === 'SMALL' || tag === 'SUP' || tag === 'SUB') {
+        run += inlineNode(child);
+      }
+      else { flush(); blocks(child, out); }
+    }
+    flush();
+    return out;
+  }
+
+  root = root || pickRoot();
+  const markdown = blocks(root, []).join('\\n\\n');
+  return { title: document.title, markdown };
+}`;
+
+/**
+ * Extract the page's main content (or a ref's element) as Markdown.
+ * @param {CDP.Client} client
+ * @param {object} [opts] - {scope?: object (ref cache entry), maxChars?: number}
+ * @returns {Promise<{title: string, markdown: string, truncated: boolean}>}
+ */
+export async function readPage(client, opts = {}) {
+  const { DOM, Runtime } = client;
+  let response;
+
+  if (opts.scope) {
+    const sessionId = await sessionFor(client, opts.scope);
+    const { object } = await DOM.resolveNode({ backendNodeId: opts.scope.backendDOMNodeId }, sessionId);
+    if (!object || !object.objectId) {
+      throw new Error('Element no longer exists in the DOM. Run `agent-chrome snapshot` to refresh refs.');
+    }
+    response = await Runtime.callFunctionOn({
+      objectId: object.objectId,
+      functionDeclaration: `function() { return (${EXTRACT})(this); }`,
+      returnByValue: true,
+    }, sessionId);
+    await Runtime.releaseObject({ objectId: object.objectId }, sessionId).catch(() => {});
+  } else {
+    response = await Runtime.evaluate({
+      expression: `(${EXTRACT})(null)`,
+      returnByValue: true,
+    });
+  }
+
+  if (response.exceptionDetails) {
+    throw new Error(`Reading the page failed: ${response.exceptionDetails.exception?.description || response.exceptionDetails.text}`);
+  }
+
+  let { title, markdown } = response.result.value;
+  // Start with the page title unless the content has its own top heading
+  if (title && !opts.scope && !/^# /m.test(markdown)) markdown = `# ${title}\n\n${markdown}`;
+
+  let truncated = false;
+  if (opts.maxChars && markdown.length > opts.maxChars) {
+    // Cut at a paragraph or line break near the limit when there is one
+    const cut = markdown.slice(0, opts.maxChars);
+    const lastBreak = Math.max(cut.lastIndexOf('\n\n'), cut.lastIndexOf('\n'));
+    markdown = (lastBreak > opts.maxChars * 0.8 ? cut.slice(0, lastBreak) : cut).trimEnd();
+    truncated = true;
+  }
+  return { title, markdown, truncated };
+}
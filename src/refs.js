@@ -2,7 +2,8 @@
  * Ref cache — persists the ref→backendDOMNodeId mapping between CLI invocations.
  *
  * Stored at ~/.agent-chrome/[agentId/]<port>-<targetId>.refs.json
- * Also stores the tab mapping (short id → CDP target id).
+ * Also stores the last snapshot's node list (for `snapshot --diff`), keys
+ * held down with `keydown`, and the tab mapping (short id → CDP target id).
  *
  * When --agent-id is provided, cache files are namespaced into a subdirectory
  * so multiple agents can operate concurrently without clobbering each other.
@@ -42,7 +43,11 @@ function refCachePath(port, targetId, agentId) {
 }
 
 /**
- * Save the ref map for a specific tab.
+ * Save the ref map for a specific tab. Each ref records the document it was
+ * taken from (`doc`, the main frame's loaderId) so refs survive later
+ * snapshots of that document but not a navigation. Refs inside
+ * out-of-process iframes also carry `sessionId`, `targetId` and
+ * `frameOwners` (see frames.js).
  * @param {number} port
  * @param {string} targetId
  * @param {Record<string, {backendDOMNodeId: number, role: string, name: string}>} refs
@@ -69,6 +74,80 @@ export function loadRefs(port, targetId, agentId) {
   }
 }
 
+// ── Last snapshot (per tab) ─────────────────────────────────────────
+
+function snapshotCachePath(port, targetId, agentId) {
+  const short = targetId.slice(0, 8);
+  return join(getCacheDir(agentId), `${port}-${short}.snapshot.json`);
+}
+
+/**
+ * Save the rendered node list of the latest snapshot, and the options it
+ * was taken with, for `snapshot --diff`.
+ * @param {number} port
+ * @param {string} targetId
+ * @param {{options: object, nodes: Array<{key: string, line: string, role: string, name: string}>}} snapshot
+ * @param {string} [agentId]
+ */
+export function saveSnapshotNodes(port, targetId, snapshot, agentId) {
+  atomicWriteFileSync(snapshotCachePath(port, targetId, agentId), JSON.stringify(snapshot));
+}
+
+/**
+ * Load the rendered node list of the previous snapshot. A bare node list
+ * (saved before options were recorded) loads with `options: null`.
+ * @param {number} port
+ * @param {string} targetId
+ * @param {string} [agentId]
+ * @returns {{options: object|null, nodes: Array<{key: string, line: string, role: string, name: string}>}|null}
+ */
+export function loadSnapshotNodes(port, targetId, agentId) {
+  const p = snapshotCachePath(port, targetId, agentId);
+  if (!existsSync(p)) return null;
+  try {
+    const data = JSON.parse(readFileSync(p, 'utf8'));
+    return Array.isArray(data) ? { options: null, nodes: data } : data;
+  } catch {
+    return null;
+  }
+}
+
+// ── Held keys (per tab) ─────────────────────────────────────────────
+
+function heldKeysPath(port, targetId, agentId) {
+  const short = targetId.slice(0, 8);
+  return join(getCacheDir(agentId), `${port}-${short}.keys.json`);
+}
+
+/**
+ * Save the keys held down with `keydown`, so later commands keep their
+ * modifiers until `keyup`.
+ * @param {number} port
+ * @param {string} targetId
+ * @param {string[]} keys
+ * @param {string} [agentId]
+ */
+export function saveHeldKeys(port, targetId, keys, agentId) {
+  atomicWriteFileSync(heldKeysPath(port, targetId, agentId), JSON.stringify(keys));
+}
+
+/**
+ * Load the keys held down with `keydown`.
+ * @param {number} port
+ * @param {string} targetId
+ * @param {string} [agentId]
+ * @returns {string[]}
+ */
+export function loadHeldKeys(port, targetId, agentId) {
+  const p = heldKeysPath(port, targetId, agentId);
+  if (!existsSync(p)) return [];
+  try {
+    return JSON.parse(readFileSync(p, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
 // ── Tab mapping (port-level) ────────────────────────────────────────
 
 function tabMapPath(port, agentId) {
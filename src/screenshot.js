@@ -6,57 +6,11 @@ import { mkdirSync, writeFileSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { homedir } from 'node:os';
 import { getSnapshot } from './snapshot.js';
+import { getRefBoundingBoxes } from './boxes.js';
 
 const ANNOTATION_OVERLAY_ID = '__agent_chrome_annotations__';
 const GRID_OVERLAY_ID = '__agent_chrome_grid__';
 
-/**
- * For each ref, resolve its backendDOMNodeId to a bounding box via CDP.
- * Returns array of {ref, number, role, name, box: {x, y, width, height}} or null.
- */
-async function getRefBoundingBoxes(client, refs) {
-  const { DOM, Runtime } = client;
-  const entries = Object.entries(refs);
-
-  const results = await Promise.all(entries.map(async ([ref, data]) => {
-    try {
-      const { object } = await DOM.resolveNode({ backendNodeId: data.backendDOMNodeId });
-      if (!object || !object.objectId) return null;
-
-      const { result } = await Runtime.callFunctionOn({
-        objectId: object.objectId,
-        functionDeclaration: `function() {
-          const r = this.getBoundingClientRect();
-          return { x: r.x, y: r.y, width: r.width, height: r.height };
-        }`,
-        returnByValue: true,
-      });
-      await Runtime.releaseObject({ objectId: object.objectId }).catch(() => {});
-
-      const box = result.value;
-      if (!box || box.width === 0 || box.height === 0) return null;
-
-      const num = parseInt(ref.replace('e', ''), 10);
-      return {
-        ref,
-        number: num,
-        role: data.role,
-        name: data.name || undefined,
-        box: {
-          x: Math.round(box.x),
-          y: Math.round(box.y),
-          width: Math.round(box.width),
-          height: Math.round(box.height),
-        },
-      };
-    } catch {
-      return null;
-    }
-  }));
-
-  return results.filter(a => a !== null).sort((a, b) => a.number - b.number);
-}
-
 /**
  * Inject the annotation overlay into the page.
  * Draws red bordered boxes with numbered labels on each interactive element.
@@ -155,8 +109,8 @@ async function removeGridOverlay(client) {
  * Take a screenshot and save to disk.
  * @param {CDP.Client} client
  * @param {string} [savePath] - Where to save. If omitted, auto-generates in ~/.agent-chrome/screenshots/
- * @param {object} [opts] - {fullPage?: boolean, annotate?: boolean, grid?: boolean, gridSize?: number, format?: 'png'|'jpeg', quality?: number}
- * @returns {Promise<{path: string, annotations?: Array}>}
+ * @param {object} [opts] - {fullPage?: boolean, annotate?: boolean, grid?: boolean, gridSize?: number, format?: 'png'|'jpeg', quality?: number, knownRefs?: object}
+ * @returns {Promise<{path: string, annotations?: Array, refCache?: object}>}
  */
 export async function screenshot(client, savePath, opts = {}) {
   const { Page } = client;
@@ -170,11 +124,14 @@ export async function screenshot(client, savePath, opts = {}) {
   let overlayInjected = false;
   let gridInjected = false;
   let annotations;
+  let refCache;
 
   try {
     // Annotation: get interactive snapshot, compute bounding boxes, inject overlay
     if (opts.annotate) {
-      const { refs } = await getSnapshot(client, { interactive: true });
+      const snap = await getSnapshot(client, { interactive: true, knownRefs: opts.knownRefs });
+      const refs = snap.refs;
+      refCache = snap.refCache;
       const items = await getRefBoundingBoxes(client, refs);
 
       if (items.length > 0) {
@@ -245,6 +202,7 @@ export async function screenshot(client, savePath, opts = {}) {
     return {
       path: savePath,
       ...(annotations && annotations.length > 0 ? { annotations } : {}),
+      ...(refCache ? { refCache } : {}),
     };
   } catch (error) {
     if (overlayInjected) {
@@ -0,0 +1,99 @@
+/**
+ * Snapshot diff — compares two rendered node lists (from getSnapshot) and
+ * reports what was added, removed, or changed since the previous snapshot.
+ *
+ * Nodes are matched by key (backendDOMNodeId), so an element keeps its
+ * identity even when its ref number or position in the tree changes.
+ */
+
+/** Fields compared between the old and new version of a node */
+const DIFF_FIELDS = ['name', 'value', 'text', 'checked', 'expanded'];
+
+/**
+ * Snapshot options that change which nodes are rendered, and the flag for
+ * each. They're saved with the baseline: two snapshots taken with different
+ * options aren't comparable.
+ */
+const NODE_OPTIONS = {
+  interactive: '-i',
+  compact: '-c',
+  maxDepth: '--depth',
+  frameDepth: '--frame-depth',
+  cursor: '--cursor',
+  verbose: '--verbose',
+};
+
+/**
+ * Pick the options that shape the node list, to save with a baseline.
+ * @param {object} opts - getSnapshot options
+ * @returns {object}
+ */
+export function nodeOptions(opts) {
+  const out = {};
+  for (const name of Object.keys(NODE_OPTIONS)) {
+    if (opts[name] !== undefined && opts[name] !== false) out[name] = opts[name];
+  }
+  return out;
+}
+
+/**
+ * Flags whose value differs between a baseline's options and the current
+ * ones, e.g. `['-i', '--depth']`.
+ * @param {object} prev - nodeOptions() of the baseline
+ * @param {object} next - nodeOptions() of the current snapshot
+ * @returns {string[]}
+ */
+export function optionChanges(prev, next) {
+  return Object.entries(NODE_OPTIONS)
+    .filter(([name]) => (prev[name] ?? null) !== (next[name] ?? null))
+    .map(([, flag]) => flag);
+}
+
+/**
+ * Diff two node lists.
+ * @param {Array<object>} prev - nodes from the previous snapshot
+ * @param {Array<object>} next - nodes from the current snapshot
+ * @returns {{added: object[], removed: object[], changed: Array<{node: object, changes: Array<{field: string, from: *, to: *}>}>}}
+ */
+export function diffSnapshots(prev, next) {
+  const prevMap = new Map(prev.map(n => [n.key, n]));
+  const nextKeys = new Set(next.map(n => n.key));
+
+  const added = [];
+  const changed = [];
+  for (const node of next) {
+    const old = prevMap.get(node.key);
+    if (!old) {
+      added.push(node);
+      continue;
+    }
+    const changes = [];
+    for (const field of DIFF_FIELDS) {
+      const from = old[field] ?? '';
+      const to = node[field] ?? '';
+      if (from !== to) changes.push({ field, from, to });
+    }
+    if (changes.length > 0) changed.push({ node, changes });
+  }
+
+  const removed = prev.filter(n => !nextKeys.has(n.key));
+  return { added, removed, changed };
+}
+
+/**
+ * Format a diff as text lines: `+` added, `-` removed, `~` changed, followed
+ * by a summary line like "+3 −1 ~2".
+ */
+export function formatDiff({ added, removed, changed }) {
+  const lines = [];
+  for (const n of added) lines.push(`+ ${n.line}`);
+  for (const n of removed) lines.push(`- ${n.line}`);
+  for (const { node, changes } of changed) {
+    const desc = changes.map(c => `${c.field} ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`).join(', ');
+    lines.push(`~ ${node.line}  (${desc})`);
+  }
+  if (lines.length === 0) lines.push('(no changes)');
+  lines.push('');
+  lines.push(`+${added.length} −${removed.length} ~${changed.length}`);
+  return lines.join('\n');
+}
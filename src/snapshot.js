@@ -8,12 +8,17 @@
  *   - button "Submit" [ref=e2]
  *   - textbox "Email" [ref=e3]
  */
+import { attachFrameTargets, sessionFor } from './frames.js';
+import { getNodeBox, getViewport } from './boxes.js';
+import { findClickables } from './clickables.js';
+import { getDomDetails } from './dom-details.js';
 
 /** Roles that are interactive and should get refs */
 const INTERACTIVE_ROLES = new Set([
   'button', 'link', 'textbox', 'checkbox', 'radio', 'combobox', 'listbox',
   'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'searchbox',
   'slider', 'spinbutton', 'switch', 'tab', 'treeitem',
+  'clickable', // set by --cursor (see markClickables)
 ]);
 
 /** Roles that provide structure/context (get refs for text extraction) */
@@ -22,6 +27,9 @@ const CONTENT_ROLES = new Set([
   'listitem', 'article', 'region', 'main', 'navigation',
 ]);
 
+/** Table roles — get refs even without a name, for the `table` command */
+const TABLE_ROLES = new Set(['table', 'grid', 'treegrid']);
+
 /** Roles that are purely structural (can be filtered in compact mode) */
 const STRUCTURAL_ROLES = new Set([
   'generic', 'group', 'list', 'table', 'row', 'rowgroup', 'grid',
@@ -70,8 +78,11 @@ function getProp(node, name) {
 /**
  * Build the accessibility tree from CDP's flat node array.
  * Returns a tree of {role, name, backendDOMNodeId, children, properties, value}.
+ * The root is the first node, or the node for `rootBackendId` when given
+ * (partial trees from Accessibility.queryAXTree aren't guaranteed to start
+ * with their root).
  */
-function buildTree(cdpNodes) {
+function buildTree(cdpNodes, rootBackendId) {
   const nodeMap = new Map();
 
   for (const node of cdpNodes) {
@@ -103,6 +114,11 @@ function buildTree(cdpNodes) {
 
   // Find root (first node, usually RootWebArea)
   if (cdpNodes.length === 0) return null;
+  if (rootBackendId !== undefined) {
+    for (const node of nodeMap.values()) {
+      if (node.backendDOMNodeId === rootBackendId) return node;
+    }
+  }
   return nodeMap.get(cdpNodes[0].nodeId) || null;
 }
 
@@ -132,21 +148,59 @@ function hasMeaningfulContent(node) {
   return node.children.some(hasMeaningfulContent);
 }
 
+/** Longest text used as a clickable's name */
+const CLICKABLE_NAME_LIMIT = 60;
+
+/** Larger subtrees are containers (delegated listeners), not click targets */
+const CLICKABLE_MAX_NODES = 50;
+
+/**
+ * Count the nodes in a subtree.
+ */
+function subtreeSize(node) {
+  return 1 + node.children.reduce((n, c) => n + subtreeSize(c), 0);
+}
+
 /**
- * Render the tree to text lines.
+ * Turn top-document nodes whose element is clickable (see clickables.js)
+ * into `clickable` nodes named by their text. Innermost first: a node that
+ * has an interactive role, or contains one or another clickable (a list
+ * with a delegated click listener over clickable items), is left alone, as
+ * are large containers.
+ */
+function markClickables(node, ids) {
+  for (const child of node.children) markClickables(child, ids);
+  if (node.frame || !ids.has(node.backendDOMNodeId) || SKIP_ROLES.has(node.rawRole)) return;
+  if (hasInteractiveDescendant(node) || subtreeSize(node) > CLICKABLE_MAX_NODES) return;
+
+  const text = (node.name || collectText(node)).replace(/\s+/g, ' ').trim();
+  node.role = 'clickable';
+  node.name = text.length > CLICKABLE_NAME_LIMIT ? text.slice(0, CLICKABLE_NAME_LIMIT - 1) + '…' : text;
+  // Its text is now the name
+  node.children = node.children.filter(c => c.role !== 'text');
+}
+
+/**
+ * Render the tree into output items — the nodes that survive filtering,
+ * nested the way they're printed. Text and JSON output are both formatted
+ * from these, so the -i/-c/-d rules apply identically to each.
+ *
+ * Item: {node, role, name, ref?, value?, text?, children}. `text` is inline
+ * text (text nodes, or an element whose children are all text); `value` is
+ * the current value of an interactive element.
  * @param {object} node - Tree node
  * @param {object} refs - Ref map to populate (mutated)
  * @param {object} opts - {interactive, compact, maxDepth}
  * @param {number} depth - Current depth
- * @param {object} counter - {n: number} for ref numbering
- * @returns {string[]} Lines of output
+ * @param {object} state - Ref numbering state (see assignRef)
+ * @returns {object[]} Items at this level
  */
-function renderNode(node, refs, opts, depth, counter) {
+function renderNode(node, refs, opts, depth, state) {
   if (!node) return [];
   if (SKIP_ROLES.has(node.rawRole)) {
     // Render children of root directly
     if (node.rawRole === 'RootWebArea') {
-      return node.children.flatMap(c => renderNode(c, refs, opts, depth, counter));
+      return node.children.flatMap(c => renderNode(c, refs, opts, depth, state));
     }
     return [];
   }
@@ -158,6 +212,7 @@ function renderNode(node, refs, opts, depth, counter) {
   const name = node.name;
   const isInteractive = INTERACTIVE_ROLES.has(role);
   const isContent = CONTENT_ROLES.has(role);
+  const isTable = TABLE_ROLES.has(role);
   const isStructural = STRUCTURAL_ROLES.has(role) || role === 'section' || role === 'label';
   const isText = role === 'text';
 
@@ -165,32 +220,23 @@ function renderNode(node, refs, opts, depth, counter) {
   // but still descend to find interactive elements
   if (opts.interactive) {
     if (isInteractive) {
-      const ref = `e${++counter.n}`;
-      refs[ref] = { backendDOMNodeId: node.backendDOMNodeId, role, name };
-      const indent = '  '.repeat(depth);
-      const namePart = name ? ` "${name}"` : '';
-      let line = `${indent}- ${role}${namePart} [ref=${ref}]`;
-      // Add extra info
-      const extra = getExtraInfo(node);
-      if (extra) line += ` ${extra}`;
+      const ref = assignRef(node, refs, state);
+      const item = { node, role, name, ref, children: [] };
       // Show current value for inputs
-      if (node.value) line += `: ${node.value}`;
-      return [line];
+      if (node.value) item.value = node.value;
+      return [item];
     }
     // Not interactive — descend but don't render this node
-    return node.children.flatMap(c => renderNode(c, refs, opts, 0, counter));
+    return node.children.flatMap(c => renderNode(c, refs, opts, 0, state));
   }
 
   // Compact mode: skip unnamed structural elements
-  if (opts.compact && (isStructural || role === 'none') && !name) {
+  if (opts.compact && (isStructural || role === 'none') && !name && !isTable) {
     if (!hasMeaningfulContent(node)) return [];
     // Has content — render children at this same depth (skip the wrapper)
-    return node.children.flatMap(c => renderNode(c, refs, opts, depth, counter));
+    return node.children.flatMap(c => renderNode(c, refs, opts, depth, state));
   }
 
-  const indent = '  '.repeat(depth);
-  const lines = [];
-
   // Text nodes: just show the text inline
   if (isText) {
     const text = name.trim();
@@ -198,75 +244,487 @@ function renderNode(node, refs, opts, depth, counter) {
     // In compact mode, skip text nodes that duplicate their parent's name
     // (e.g., link "Foo" > text "Foo" is redundant)
     if (opts.compact && opts._parentName && text === opts._parentName.trim()) return [];
-    lines.push(`${indent}- text: ${text}`);
-    return lines;
+    return [{ node, role, name: '', text, children: [] }];
   }
 
-  // Build the line for this node
-  const shouldHaveRef = isInteractive || (isContent && name);
-  let refStr = '';
+  // Build the item for this node
+  const item = { node, role, name, children: [] };
+  const shouldHaveRef = isInteractive || isTable || (isContent && name);
   if (shouldHaveRef) {
-    const ref = `e${++counter.n}`;
-    refs[ref] = { backendDOMNodeId: node.backendDOMNodeId, role, name };
-    refStr = ` [ref=${ref}]`;
+    item.ref = assignRef(node, refs, state);
   }
 
-  const namePart = name ? ` "${name}"` : '';
-  const extra = getExtraInfo(node);
-  const extraStr = extra ? ` ${extra}` : '';
-
   // Check if all children are just text — if so, collapse to single line
   const childTexts = node.children.filter(c => c.role === 'text' && c.name.trim());
   const otherChildren = node.children.filter(c => c.role !== 'text' || !c.name.trim());
   const allChildrenAreText = otherChildren.length === 0 && childTexts.length > 0;
 
+  const childOpts = opts.compact && name ? { ...opts, _parentName: name } : opts;
   if (allChildrenAreText && !isInteractive) {
-    const text = childTexts.map(c => c.name.trim()).join(' ');
-    lines.push(`${indent}- ${role}${namePart}${refStr}${extraStr}: ${text}`);
+    item.text = childTexts.map(c => c.name.trim()).join(' ');
   } else if (node.value && isInteractive) {
-    // Show current value for inputs
-    lines.push(`${indent}- ${role}${namePart}${refStr}${extraStr}: ${node.value}`);
-    // Still render non-text children
-    const childOpts2 = opts.compact && name ? { ...opts, _parentName: name } : opts;
+    // Show current value for inputs; still render non-text children
+    item.value = node.value;
     for (const child of node.children) {
       if (child.role !== 'text') {
-        lines.push(...renderNode(child, refs, childOpts2, depth + 1, counter));
+        item.children.push(...renderNode(child, refs, childOpts, depth + 1, state));
       }
     }
   } else {
-    lines.push(`${indent}- ${role}${namePart}${refStr}${extraStr}`);
-    const childOpts = opts.compact && name ? { ...opts, _parentName: name } : opts;
     for (const child of node.children) {
-      lines.push(...renderNode(child, refs, childOpts, depth + 1, counter));
+      item.children.push(...renderNode(child, refs, childOpts, depth + 1, state));
     }
   }
 
+  return [item];
+}
+
+/**
+ * Format one item as a text line (no indent, no children).
+ */
+function formatLine(item) {
+  if (item.omitted) return `- ${placeholderText(item)}`;
+  if (item.role === 'text') return `- text: ${item.text}`;
+  const namePart = item.name ? ` "${item.name}"` : '';
+  const refStr = item.ref ? ` [ref=${item.ref}]${item.box ? ` ${formatBox(item.box)}` : ''}` : '';
+  const extra = getExtraInfo(item.node);
+  const extraStr = extra ? ` ${extra}` : '';
+  const inline = item.text ?? item.value;
+  return `- ${item.role}${namePart}${refStr}${extraStr}${inline ? `: ${inline}` : ''}`;
+}
+
+/**
+ * Format a box as `@(x,y wxh)`.
+ */
+function formatBox(box) {
+  return `@(${box.x},${box.y} ${box.width}x${box.height})`;
+}
+
+/**
+ * Format items as indented text lines.
+ */
+function formatText(items, depth = 0, lines = []) {
+  for (const item of items) {
+    lines.push('  '.repeat(depth) + formatLine(item));
+    formatText(item.children, depth + 1, lines);
+  }
   return lines;
 }
 
 /**
- * Get extra info string for a node (level, checked, etc.)
+ * Convert items to plain nested objects for `--format json`.
  */
-function getExtraInfo(node) {
-  const parts = [];
+function formatJson(items) {
+  return items.map(item => {
+    if (item.omitted) {
+      if (item.role === 'offscreen') return { omitted: item.omitted, where: item.where };
+      return item.role === 'more' ? { omitted: item.omitted, ref: item.ref } : { omitted: item.omitted, role: item.role };
+    }
+    const obj = { role: item.role };
+    if (item.name) obj.name = item.name;
+    if (item.ref) obj.ref = item.ref;
+    if (item.box) obj.box = item.box;
+    if (item.value) obj.value = item.value;
+    if (item.text) obj.text = item.text;
+    if (item.role !== 'text') Object.assign(obj, getStates(item.node));
+    if (item.node.frameUrl) obj.url = item.node.frameUrl;
+    obj.children = formatJson(item.children);
+    return obj;
+  });
+}
+
+/**
+ * Where a box lies relative to the viewport: 'visible' if they intersect,
+ * else 'above', 'below' or 'off-screen' (to the side).
+ */
+function viewportPosition(box, viewport) {
+  if (box.y + box.height <= 0) return 'above';
+  if (box.y >= viewport.height) return 'below';
+  if (box.x + box.width <= 0 || box.x >= viewport.width) return 'off-screen';
+  return 'visible';
+}
+
+/**
+ * Keep only items whose box intersects the viewport (--visible). Runs of
+ * off-screen siblings become one "(12 more items below)" line. Items
+ * without a box of their own (zero-size wrappers, display: contents) are
+ * judged by their children; items entirely inside the viewport keep their
+ * whole subtree without further checks.
+ * @param {CDP.Client} client
+ * @param {object[]} items - Rendered items
+ * @param {{width: number, height: number}} viewport
+ * @param {Map} offsets - Frame offset cache (see getNodeBox)
+ * @returns {Promise<object[]>}
+ */
+async function filterVisible(client, items, viewport, offsets) {
+  const kept = await Promise.all(items.map(async item => {
+    if (!item.node) return item;
+    const box = await getNodeBox(client, refData(item.node), offsets);
+    if (!box) {
+      // Hidden, or a wrapper without a box — judge it by its children
+      const children = await filterVisible(client, item.children, viewport, offsets);
+      if (children.some(c => c.node)) return { ...item, children };
+      return children.length ? { where: children[0].where } : null;
+    }
+    const where = viewportPosition(box, viewport);
+    if (where !== 'visible') return { where };
+    const inside = box.x >= 0 && box.y >= 0 &&
+      box.x + box.width <= viewport.width && box.y + box.height <= viewport.height;
+    if (inside) return item;
+    return { ...item, children: await filterVisible(client, item.children, viewport, offsets) };
+  }));
+
+  // Merge consecutive off-screen siblings in the same direction
+  const out = [];
+  for (const item of kept) {
+    if (!item) continue;
+    if (!item.where) {
+      out.push(item);
+      continue;
+    }
+    const last = out[out.length - 1];
+    if (last && last.role === 'offscreen' && last.where === item.where) {
+      last.omitted++;
+    } else {
+      out.push({ node: null, role: 'offscreen', where: item.where, omitted: 1, children: [] });
+    }
+  }
+  return out;
+}
+
+/**
+ * Look up the box of every item with a ref (--boxes) and record it on the
+ * item, rounded to whole CSS pixels.
+ * @param {CDP.Client} client
+ * @param {object[]} items - Rendered items (mutated)
+ * @param {object} refs - Ref map
+ * @param {Map} offsets - Frame offset cache (see getNodeBox)
+ */
+async function addBoxes(client, items, refs, offsets) {
+  await Promise.all(items.map(async item => {
+    if (item.ref && item.node) {
+      const box = await getNodeBox(client, refs[item.ref], offsets);
+      if (box) {
+        item.box = {
+          x: Math.round(box.x),
+          y: Math.round(box.y),
+          width: Math.round(box.width),
+          height: Math.round(box.height),
+        };
+      }
+    }
+    await addBoxes(client, item.children, refs, offsets);
+  }));
+}
+
+// Token budget (--max-tokens). Output is shrunk in stages, cheapest
+// information loss first, re-measuring after each one.
+const TEXT_LIMIT = 80;
+const REPEAT_KEEP = 3;
+
+/**
+ * Estimate the token count of the text rendering (~4 chars per token).
+ */
+function estimateTokens(items) {
+  return Math.ceil(formatText(items).join('\n').length / 4);
+}
+
+/**
+ * Text for a placeholder item standing in for omitted nodes.
+ */
+function placeholderText(item) {
+  if (item.role === 'offscreen') return `(${item.omitted} more items ${item.where})`;
+  if (item.role === 'more') return `… ${item.omitted} more nodes (snapshot @${item.ref || 'eN'})`;
+  return `… ${item.omitted} more ${item.role}`;
+}
+
+function countItems(items) {
+  return items.reduce((sum, item) => sum + (item.omitted || 1 + countItems(item.children)), 0);
+}
+
+/**
+ * Stage 1: cut long inline text down to TEXT_LIMIT characters.
+ */
+function collapseText(items) {
+  for (const item of items) {
+    if (item.text && item.text.length > TEXT_LIMIT) {
+      item.text = item.text.slice(0, TEXT_LIMIT - 1).trimEnd() + '…';
+    }
+    collapseText(item.children);
+  }
+}
+
+/**
+ * Stage 2: keep the first few of a run of same-role siblings (feed items,
+ * table rows, options) and replace the rest with "… N more <role>".
+ */
+function summarizeRepeats(items) {
+  const out = [];
+  let i = 0;
+  while (i < items.length) {
+    let j = i + 1;
+    while (j < items.length && items[j].role === items[i].role && !items[j].omitted) j++;
+    const run = items.slice(i, j);
+    if (run.length > REPEAT_KEEP + 1) {
+      out.push(...run.slice(0, REPEAT_KEEP));
+      out.push({ node: null, role: run[0].role, omitted: run.length - REPEAT_KEEP, children: [] });
+    } else {
+      out.push(...run);
+    }
+    i = j;
+  }
+  for (const item of out) item.children = summarizeRepeats(item.children);
+  return out;
+}
+
+/**
+ * Stage 3: fold everything below `maxDepth` into a placeholder under its
+ * parent. Returns new items; the input is left as is so shallower depths
+ * can be tried from the same starting point.
+ */
+function foldDeep(items, maxDepth, depth = 0) {
+  return items.map(item => {
+    if (!item.children.length) return item;
+    if (depth < maxDepth) {
+      return { ...item, children: foldDeep(item.children, maxDepth, depth + 1) };
+    }
+    const placeholder = { node: null, role: 'more', omitted: countItems(item.children), children: [] };
+    return { ...item, folded: true, children: [placeholder] };
+  });
+}
+
+/**
+ * Give each folded parent a ref (if it has none) so `snapshot @eN` can open
+ * it, and point its placeholder at that ref.
+ */
+function refFolded(items, refs, state) {
+  for (const item of items) {
+    if (item.folded) {
+      if (!item.ref) {
+        item.ref = assignRef(item.node, refs, state);
+      }
+      item.children[0].ref = item.ref;
+    } else {
+      refFolded(item.children, refs, state);
+    }
+  }
+}
+
+function treeDepth(items) {
+  return items.reduce((max, item) => Math.max(max, 1 + treeDepth(item.children)), 0);
+}
+
+/**
+ * Shrink rendered items until they fit in `maxTokens`: collapse long text,
+ * then summarize repeated siblings, then fold subtrees from the deepest
+ * level up. Stops as soon as the output fits; the result may still exceed
+ * the budget if the top level alone is too large.
+ * @param {object[]} items - Rendered items (mutated)
+ * @param {number} maxTokens
+ * @param {object} refs - Ref map; folded parents get new refs
+ * @param {object} state - Ref numbering state (see assignRef)
+ * @returns {object[]}
+ */
+function fitToBudget(items, maxTokens, refs, state) {
+  collapseText(items);
+  if (estimateTokens(items) <= maxTokens) return items;
+
+  items = summarizeRepeats(items);
+  if (estimateTokens(items) <= maxTokens) return items;
+
+  let folded = items;
+  for (let depth = treeDepth(items) - 2; depth >= 0; depth--) {
+    folded = foldDeep(items, depth);
+    if (estimateTokens(folded) <= maxTokens) break;
+  }
+  refFolded(folded, refs, state);
+  return folded;
+}
+
+/** Ancestor roles too generic to help re-locate a ref */
+const PATH_SKIP_ROLES = new Set(['generic', 'none', 'presentation', 'text', 'section', 'group']);
+const PATH_LENGTH = 3;
+
+/**
+ * Describe a node's nearest meaningful ancestors, innermost first, e.g.
+ * ['form "Login"', 'main']. Stored with refs so a stale ref can be matched
+ * to its replacement (see actions.js).
+ */
+function ancestorPath(node) {
+  const path = [];
+  for (let a = node.parent; a && path.length < PATH_LENGTH; a = a.parent) {
+    if (a.rawRole === 'RootWebArea') continue;
+    if (PATH_SKIP_ROLES.has(a.role) && !a.name) continue;
+    path.push(a.name ? `${a.role} "${a.name}"` : a.role);
+  }
+  return path;
+}
+
+/**
+ * Build the ref cache entry for a node. Nodes inside an iframe also record
+ * the frame they live in (see frames.js) so actions can route to it.
+ */
+function refData(node) {
+  const data = {
+    backendDOMNodeId: node.backendDOMNodeId,
+    role: node.role,
+    name: node.name,
+    path: ancestorPath(node),
+  };
+  const frame = node.frame;
+  if (frame) {
+    if (frame.targetId) {
+      data.sessionId = frame.sessionId;
+      data.targetId = frame.targetId;
+    }
+    data.frameOwners = frame.owners;
+  }
+  return data;
+}
+
+/**
+ * Identity of an element across snapshots. backendDOMNodeIds are only
+ * unique within a renderer process, so out-of-process iframe nodes are
+ * prefixed with their frame's targetId.
+ * @param {{backendDOMNodeId: number, targetId?: string}} ref - Ref cache entry
+ */
+function refKey(ref) {
+  return ref.targetId ? `${ref.targetId}:${ref.backendDOMNodeId}` : String(ref.backendDOMNodeId);
+}
+
+function nodeKey(node) {
+  return refKey({ backendDOMNodeId: node.backendDOMNodeId, targetId: node.frame?.targetId });
+}
+
+/**
+ * Give a node its ref: the one it had in an earlier snapshot of the same
+ * document if there is one, otherwise the next unused number.
+ * @param {object} node - Tree node
+ * @param {object} refs - Ref map to populate (mutated)
+ * @param {object} state - {n: highest ref number so far, known: Map<key, ref>, doc: document id}
+ * @returns {string} The ref
+ */
+function assignRef(node, refs, state) {
+  const ref = state.known.get(nodeKey(node)) || `e${++state.n}`;
+  refs[ref] = { ...refData(node), doc: state.doc };
+  return ref;
+}
+
+/**
+ * Flatten rendered items into a node log so snapshots can be diffed later.
+ * Keyed by backendDOMNodeId, which stays stable for an element across
+ * snapshots of the same document.
+ */
+function collectDiffNodes(items, out = []) {
+  for (const item of items) {
+    const node = item.node;
+    if (node.backendDOMNodeId) {
+      const { checked, expanded } = getStates(node);
+      out.push({
+        key: nodeKey(node),
+        // Without the list marker — the diff puts +, - or ~ there
+        line: formatLine(item).slice(2),
+        role: node.role,
+        name: node.name,
+        value: node.value,
+        ...(item.text !== undefined ? { text: item.text } : {}),
+        ...(checked !== undefined ? { checked: String(checked) } : {}),
+        ...(expanded !== undefined ? { expanded: String(expanded) } : {}),
+        ...(item.ref ? { ref: item.ref } : {}),
+      });
+    }
+    collectDiffNodes(item.children, out);
+  }
+  return out;
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Get a node's state flags (level, checked, etc.). Only flags that apply
+ * to the node are set.
+ */
+function getStates(node) {
+  const states = {};
   const level = getProp(node, 'level');
-  if (level !== undefined) parts.push(`[level=${level}]`);
+  if (level !== undefined) states.level = level;
 
   const checked = getProp(node, 'checked');
-  if (checked !== undefined) parts.push(`[${checked === 'true' || checked === true ? 'checked' : 'unchecked'}]`);
+  if (checked !== undefined) states.checked = checked === 'mixed' ? 'mixed' : isTrue(checked);
 
-  const selected = getProp(node, 'selected');
-  if (selected === true || selected === 'true') parts.push('[selected]');
+  if (isTrue(getProp(node, 'selected'))) states.selected = true;
 
   const expanded = getProp(node, 'expanded');
-  if (expanded !== undefined) parts.push(`[${expanded === true || expanded === 'true' ? 'expanded' : 'collapsed'}]`);
+  if (expanded !== undefined) states.expanded = isTrue(expanded);
+
+  if (isTrue(getProp(node, 'required'))) states.required = true;
+  if (isTrue(getProp(node, 'disabled'))) states.disabled = true;
+  if (node.details) Object.assign(states, node.details);
+  return states;
+}
+
+/**
+ * Collect the extra attributes shown by --verbose onto `node.details`:
+ * href, placeholder, invalid (true or the validation message), focused,
+ * readonly, valuenow/valuemin/valuemax and autocomplete.
+ * @param {object} node - Tree root
+ * @param {Map} dom - DOM details by backendNodeId (see dom-details.js)
+ */
+function addDetails(node, dom) {
+  const details = {};
+  const fromDom = node.frame?.targetId ? undefined : dom.get(node.backendDOMNodeId);
 
-  const required = getProp(node, 'required');
-  if (required === true || required === 'true') parts.push('[required]');
+  const url = getProp(node, 'url');
+  if (url && (node.role === 'link' || node.role === 'image')) details.href = url;
+  if (fromDom?.placeholder) details.placeholder = fromDom.placeholder;
 
-  const disabled = getProp(node, 'disabled');
-  if (disabled === true || disabled === 'true') parts.push('[disabled]');
+  const invalid = getProp(node, 'invalid');
+  if ((invalid !== undefined && invalid !== 'false' && invalid !== false) || fromDom?.validationMessage !== undefined) {
+    details.invalid = fromDom?.validationMessage || true;
+  }
+  if (isTrue(getProp(node, 'focused'))) details.focused = true;
+  if (isTrue(getProp(node, 'readonly'))) details.readonly = true;
+
+  const valuemin = getProp(node, 'valuemin');
+  const valuemax = getProp(node, 'valuemax');
+  if (valuemin !== undefined || valuemax !== undefined) {
+    if (node.value !== '') details.valuenow = node.value;
+    if (valuemin !== undefined) details.valuemin = valuemin;
+    if (valuemax !== undefined) details.valuemax = valuemax;
+  }
 
+  const autocomplete = fromDom?.autocomplete || getProp(node, 'autocomplete');
+  if (autocomplete && autocomplete !== 'none') details.autocomplete = autocomplete;
+
+  if (Object.keys(details).length > 0) node.details = details;
+  for (const child of node.children) addDetails(child, dom);
+}
+
+/**
+ * Get extra info string for a node (level, checked, etc.)
+ */
+function getExtraInfo(node) {
+  const states = getStates(node);
+  const parts = [];
+  if (states.level !== undefined) parts.push(`[level=${states.level}]`);
+  if (states.checked !== undefined) parts.push(`[${states.checked === true ? 'checked' : 'unchecked'}]`);
+  if (states.selected) parts.push('[selected]');
+  if (states.expanded !== undefined) parts.push(`[${states.expanded ? 'expanded' : 'collapsed'}]`);
+  if (states.required) parts.push('[required]');
+  if (states.disabled) parts.push('[disabled]');
+  // --verbose
+  if (states.href) parts.push(`[href=${states.href}]`);
+  if (states.placeholder) parts.push(`[placeholder="${states.placeholder}"]`);
+  if (states.invalid) parts.push(states.invalid === true ? '[invalid]' : `[invalid: ${states.invalid}]`);
+  if (states.focused) parts.push('[focused]');
+  if (states.readonly) parts.push('[readonly]');
+  for (const key of ['valuenow', 'valuemin', 'valuemax']) {
+    if (states[key] !== undefined) parts.push(`[${key}=${states[key]}]`);
+  }
+  if (states.autocomplete) parts.push(`[autocomplete=${states.autocomplete}]`);
+  if (node.frameUrl) parts.push(`[url=${node.frameUrl}]`);
   return parts.join(' ');
 }
 
@@ -274,15 +732,22 @@ function getExtraInfo(node) {
  * Race a promise against a timeout. Rejects with 'timeout' on expiry.
  */
 function withTimeout(promise, ms) {
+  let timer;
   return Promise.race([
     promise,
-    new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), ms)),
-  ]);
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), ms); }),
+  ]).finally(() => clearTimeout(timer));
 }
 
+/** Default number of nested iframe levels to expand */
+const DEFAULT_FRAME_DEPTH = 3;
+
+/** Time budget for expanding a single iframe (describe + AX fetch) */
+const FRAME_TIMEOUT_MS = 2000;
+
 /**
  * Walk a tree and collect Iframe nodes. Does NOT recurse into iframe
- * children — we only expand one level deep.
+ * children — nested frames are collected from each subtree once it's fetched.
  */
 function collectIframeNodes(node, out) {
   if (node.rawRole === 'Iframe') {
@@ -295,64 +760,457 @@ function collectIframeNodes(node, out) {
 }
 
 /**
- * Fetch the AX subtree for a same-origin iframe and return its root tree node.
- * Returns null if the iframe is cross-origin, the frameId can't be resolved,
- * or the AX fetch times out.
+ * Tag every node in an iframe subtree with the frame it belongs to.
+ */
+function tagFrame(node, frame) {
+  node.frame = frame;
+  for (const child of node.children) tagFrame(child, frame);
+}
+
+/**
+ * Find a frame's URL in a Page.getFrameTree result.
+ */
+function findFrameUrl(frameTree, frameId) {
+  if (frameTree.frame.id === frameId) return frameTree.frame.url;
+  for (const child of frameTree.childFrames || []) {
+    const url = findFrameUrl(child, frameId);
+    if (url) return url;
+  }
+  return undefined;
+}
+
+/**
+ * Fetch the AX subtree for an iframe and return its root tree node.
+ * Same-process iframes are read through the parent's session by frameId;
+ * out-of-process (cross-origin) iframes through their own attached session.
+ * Sets `frameUrl` on the Iframe node so the frame is labeled in the output.
+ * Returns null if the frameId can't be resolved or the frame has no session.
+ * @param {CDP.Client} client
+ * @param {object} iframeNode - the Iframe AX node
+ * @param {Map<string, {sessionId: string, url: string}>} frameTargets - from attachFrameTargets
+ */
+async function fetchIframeSubtree(client, iframeNode, frameTargets) {
+  const parent = iframeNode.frame;
+  const { node } = await client.DOM.describeNode(
+    { backendNodeId: iframeNode.backendDOMNodeId, depth: 0 },
+    parent?.sessionId
+  );
+  const frameId = node?.frameId || node?.contentDocument?.frameId;
+  if (!frameId) return null;
+
+  const owner = { backendDOMNodeId: iframeNode.backendDOMNodeId };
+  if (parent?.targetId) owner.targetId = parent.targetId;
+  const owners = [...(parent?.owners || []), owner];
+
+  const oopif = frameTargets.get(frameId);
+  let frame;
+  let nodes;
+  if (oopif) {
+    frame = { sessionId: oopif.sessionId, targetId: frameId, owners };
+    iframeNode.frameUrl = oopif.url;
+    ({ nodes } = await client.Accessibility.getFullAXTree({}, oopif.sessionId));
+  } else {
+    frame = { sessionId: parent?.sessionId, targetId: parent?.targetId, owners };
+    const { frameTree } = await client.Page.getFrameTree({}, parent?.sessionId);
+    iframeNode.frameUrl = findFrameUrl(frameTree, frameId);
+    ({ nodes } = await client.Accessibility.getFullAXTree({ frameId }, parent?.sessionId));
+  }
+  if (!nodes || nodes.length === 0) return null;
+
+  const subtree = buildTree(nodes);
+  if (!subtree) return null;
+  subtree._isIframeRoot = true;
+  tagFrame(subtree, frame);
+  return subtree;
+}
+
+/**
+ * Expand the iframes under `root`, then the iframes inside those, down to
+ * `frameDepth` levels. Sibling frames are fetched in parallel and each gets
+ * its own time budget, so one slow frame only leaves its own Iframe empty.
+ */
+async function expandIframes(client, root, frameTargets, frameDepth, level = 1) {
+  if (level > frameDepth) return;
+  const iframeNodes = [];
+  collectIframeNodes(root, iframeNodes);
+
+  await Promise.all(iframeNodes.map(async iframeNode => {
+    let subtree;
+    try {
+      subtree = await withTimeout(fetchIframeSubtree(client, iframeNode, frameTargets), FRAME_TIMEOUT_MS);
+    } catch {
+      return; // cross-origin without a session, detached, or timed out
+    }
+    if (!subtree) return;
+    iframeNode.children.push(subtree);
+    await expandIframes(client, subtree, frameTargets, frameDepth, level + 1);
+  }));
+}
+
+/**
+ * Fetch the AX subtree rooted at one DOM node with a partial query
+ * (Accessibility.queryAXTree) instead of the whole page's tree.
+ * @param {CDP.Client} client
+ * @param {number} backendNodeId
+ * @param {string} [sessionId] - frame session (see frames.js)
+ * @returns {Promise<object|null>} root tree node
+ */
+async function fetchPartialTree(client, backendNodeId, sessionId) {
+  const { nodes } = await client.Accessibility.queryAXTree({ backendNodeId }, sessionId);
+  if (!nodes || nodes.length === 0) return null;
+  return buildTree(nodes, backendNodeId);
+}
+
+/** Whether any element in the document hosts an open shadow root */
+const HAS_SHADOW_ROOTS = `(() => {
+  const walker = document.createTreeWalker(document, NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) if (walker.currentNode.shadowRoot) return true;
+  return false;
+})()`;
+
+/**
+ * Walk a DOM tree fetched with `pierce: true` and collect every open shadow
+ * root as {hostId, contentIds}: the host's backendNodeId and the backendNodeIds
+ * of everything inside the root. `pierce` returns closed roots too; only
+ * open ones are inlined, as page scripts can't reach into closed ones either.
+ * Iframe content documents are left to the iframe expansion.
+ */
+function collectShadowRoots(domNode, out) {
+  for (const shadowRoot of domNode.shadowRoots || []) {
+    if (shadowRoot.shadowRootType === 'open') {
+      const contentIds = [];
+      collectBackendIds(shadowRoot, contentIds);
+      out.push({ hostId: domNode.backendNodeId, contentIds });
+    }
+    collectShadowRoots(shadowRoot, out);
+  }
+  for (const child of domNode.children || []) {
+    collectShadowRoots(child, out);
+  }
+}
+
+function collectBackendIds(domNode, out) {
+  for (const child of domNode.children || []) {
+    out.push(child.backendNodeId);
+    collectBackendIds(child, out);
+  }
+}
+
+/**
+ * Index an AX tree by backendDOMNodeId.
  */
-async function fetchIframeSubtree(client, backendNodeId) {
+function indexByBackendId(node, map = new Map()) {
+  if (node.backendDOMNodeId) map.set(node.backendDOMNodeId, node);
+  for (const child of node.children) indexByBackendId(child, map);
+  return map;
+}
+
+/**
+ * Inline open shadow roots the full AX tree didn't traverse into. Each host
+ * whose shadow content is missing from the tree gets its children replaced
+ * by a partial AX tree queried from the host, so the content gets normal
+ * refs and actions resolve it by backendDOMNodeId like anything else.
+ * Hosts are processed in document order, so nested roots inlined by an
+ * outer query are picked up by the index refresh.
+ * The pierced DOM is only fetched when the page has an open shadow root:
+ * serializing the whole document is slow on large pages.
+ */
+async function expandShadowRoots(client, root) {
+  let doc;
   try {
-    const { node } = await withTimeout(
-      client.DOM.describeNode({ backendNodeId, depth: 0 }),
-      2000
-    );
-    const frameId = node?.frameId || node?.contentDocument?.frameId;
-    if (!frameId) return null;
-
-    const { nodes } = await withTimeout(
-      client.Accessibility.getFullAXTree({ frameId }),
-      2000
-    );
-    if (!nodes || nodes.length === 0) return null;
-
-    const subtree = buildTree(nodes);
-    if (subtree) subtree._isIframeRoot = true;
-    return subtree;
+    const { result } = await withTimeout(client.Runtime.evaluate({ expression: HAS_SHADOW_ROOTS, returnByValue: true }), 2000);
+    if (result.value !== true) return;
+    ({ root: doc } = await withTimeout(client.DOM.getDocument({ depth: -1, pierce: true }), 2000));
   } catch {
-    return null;
+    return;
+  }
+
+  const shadowRoots = [];
+  collectShadowRoots(doc, shadowRoots);
+  if (shadowRoots.length === 0) return;
+
+  let index = indexByBackendId(root);
+  for (const { hostId, contentIds } of shadowRoots) {
+    const host = index.get(hostId);
+    if (!host) continue;
+    if (contentIds.some(id => index.has(id))) continue; // already in the tree
+
+    try {
+      const subtree = await withTimeout(fetchPartialTree(client, hostId), 2000);
+      if (!subtree || subtree.children.length === 0) continue;
+      host.children = subtree.children;
+      index = indexByBackendId(root);
+    } catch {
+      // Leave the host as-is; coordinate clicks still reach its content
+    }
   }
 }
 
 /**
- * Get an enhanced snapshot of the page. Same-origin iframes are expanded one
- * level deep — their AX subtree is inlined under the Iframe node. Cross-origin
- * iframes are left empty; coordinate clicks (`click <x> <y>`) still work.
+ * Fetch the tree for a scoped snapshot: the AX subtree under a ref
+ * (`opts.scope`, a ref cache entry) or the first element matching a CSS
+ * selector (`opts.selector`) in the top document. Nodes fetched through an
+ * iframe ref are tagged with the ref's frame so nested refs route correctly.
+ */
+async function fetchScopedTree(client, opts) {
+  if (opts.scope) {
+    const ref = opts.scope;
+    const sessionId = await sessionFor(client, ref);
+    const root = await fetchPartialTree(client, ref.backendDOMNodeId, sessionId);
+    if (!root) throw new Error('Element is not in the accessibility tree. Run `agent-chrome snapshot` to refresh refs.');
+    if (ref.frameOwners) {
+      tagFrame(root, { sessionId, targetId: ref.targetId, owners: ref.frameOwners });
+    }
+    return root;
+  }
+
+  const { DOM } = client;
+  const { root: doc } = await DOM.getDocument({ depth: 0 });
+  const { nodeId } = await DOM.querySelector({ nodeId: doc.nodeId, selector: opts.selector });
+  if (!nodeId) throw new Error(`No element matches selector "${opts.selector}".`);
+  const { node } = await DOM.describeNode({ nodeId });
+  const root = await fetchPartialTree(client, node.backendNodeId);
+  if (!root) throw new Error(`Element matching "${opts.selector}" is not in the accessibility tree.`);
+  return root;
+}
+
+/**
+ * Fetch the AX tree a snapshot works on — the whole page or the scoped
+ * subtree — with open shadow roots and iframes (up to `frameDepth` levels)
+ * inlined.
+ * @returns {Promise<object|null>} Root tree node
+ */
+async function loadTree(client, opts) {
+  const root = opts.scope || opts.selector
+    ? await fetchScopedTree(client, opts)
+    : buildTree((await client.Accessibility.getFullAXTree()).nodes);
+  if (!root) return null;
+
+  // Shadow roots are looked up through the top document's DOM
+  if (!root.frame) await expandShadowRoots(client, root);
+
+  // Expand iframes (nested up to frameDepth levels). Subtrees are attached
+  // as children of the Iframe node; rendering picks them up via _isIframeRoot.
+  const frameDepth = opts.frameDepth ?? DEFAULT_FRAME_DEPTH;
+  const iframeNodes = [];
+  collectIframeNodes(root, iframeNodes);
+  if (iframeNodes.length > 0 && frameDepth > 0) {
+    const frameTargets = await attachFrameTargets(client);
+    await expandIframes(client, root, frameTargets, frameDepth);
+  }
+  linkParents(root);
+  return root;
+}
+
+/**
+ * Point every node at its parent, across inlined shadow roots and iframes.
+ */
+function linkParents(node) {
+  for (const child of node.children) {
+    child.parent = node;
+    linkParents(child);
+  }
+}
+
+/**
+ * Set up ref numbering. Refs from earlier snapshots of this document keep
+ * their numbers; new elements are numbered after them. After a navigation
+ * everything resets.
+ * @param {CDP.Client} client
+ * @param {object} [knownRefs] - The ref cache
+ * @returns {Promise<{state: object, retained: object}>} state for assignRef, and the cached refs still valid
+ */
+async function refState(client, knownRefs) {
+  const doc = await documentId(client);
+  const retained = {};
+  for (const [ref, data] of Object.entries(knownRefs || {})) {
+    if (data.doc === doc) retained[ref] = data;
+  }
+  const known = new Map(Object.entries(retained).map(([ref, data]) => [refKey(data), ref]));
+  return { state: { n: lastRefNumber(retained), known, doc }, retained };
+}
+
+/**
+ * Identify the page's current document — the main frame's loaderId, which
+ * changes on every navigation (but not on same-document history changes).
+ */
+export async function documentId(client) {
+  try {
+    const { frameTree } = await client.Page.getFrameTree();
+    return frameTree.frame.loaderId;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Highest ref number in a ref map (0 if none).
+ */
+function lastRefNumber(refs) {
+  let max = 0;
+  for (const key of Object.keys(refs || {})) {
+    const n = parseInt(key.slice(1), 10);
+    if (n > max) max = n;
+  }
+  return max;
+}
+
+/**
+ * Get an enhanced snapshot of the page. Iframes are expanded up to
+ * `frameDepth` levels deep (default 3) — each AX subtree is inlined under its
+ * Iframe node, which is labeled with the frame URL. Cross-origin iframes are
+ * read through their own out-of-process target session; refs inside them
+ * carry the session (see frames.js).
+ * Open shadow roots are inlined under their host element.
+ * With `scope` (a ref cache entry) or `selector`, only the subtree under that
+ * element is rendered.
+ * Refs are stable per document: elements already in `knownRefs` (the ref
+ * cache) keep their ref, new ones are numbered after the highest known ref.
+ * `refCache` is `knownRefs` plus this snapshot's refs, minus refs from
+ * documents the tab has navigated away from — save it as the new cache.
+ * `cursor` also gives refs to clickable elements without an interactive
+ * role (see markClickables).
+ * `verbose` adds href, placeholder, validation and value-range tags (see
+ * addDetails).
+ * `visible` keeps only what intersects the viewport (see filterVisible).
+ * `boxes` adds each ref's viewport box to its line.
+ * `format: 'json'` returns the tree as nested objects instead of text.
+ * `maxTokens` shrinks the output to fit the budget (see fitToBudget);
+ * `trimmed` is set when that happened.
  * @param {CDP.Client} client - CDP client connected to a tab
- * @param {object} opts - {interactive?: boolean, compact?: boolean, maxDepth?: number, selector?: string}
- * @returns {Promise<{tree: string, refs: Record<string, {backendDOMNodeId: number, role: string, name: string}>}>}
+ * @param {object} opts - {interactive?: boolean, compact?: boolean, maxDepth?: number, frameDepth?: number, selector?: string, scope?: object, knownRefs?: object, cursor?: boolean, verbose?: boolean, visible?: boolean, boxes?: boolean, format?: 'text'|'json', maxTokens?: number}
+ * @returns {Promise<{tree: string|object[], refs: Record<string, {backendDOMNodeId: number, role: string, name: string, doc?: string, sessionId?: string, targetId?: string, frameOwners?: object[]}>, refCache: object, nodes: object[], trimmed?: boolean}>}
  */
 export async function getSnapshot(client, opts = {}) {
-  const { Accessibility } = client;
+  const root = await loadTree(client, opts);
+  if (!root) {
+    return { tree: opts.format === 'json' ? [] : '(empty page)', refs: {}, refCache: {}, nodes: [] };
+  }
 
-  const { nodes } = await Accessibility.getFullAXTree();
-  const root = buildTree(nodes);
+  if (opts.cursor) markClickables(root, await findClickables(client));
+  if (opts.verbose) {
+    const dom = await getDomDetails(client).catch(() => new Map());
+    addDetails(root, dom);
+  }
 
-  if (!root) {
-    return { tree: '(empty page)', refs: {} };
+  const { state, retained } = await refState(client, opts.knownRefs);
+  const refs = {};
+  let items = renderNode(root, refs, opts, 0, state);
+  // Diff against the full page, not the trimmed view
+  const nodes = collectDiffNodes(items);
+
+  const offsets = new Map();
+  if (opts.visible) {
+    items = await filterVisible(client, items, await getViewport(client), offsets);
   }
+  if (opts.boxes) await addBoxes(client, items, refs, offsets);
 
-  // Expand same-origin iframes one level deep. Subtrees are attached as
-  // children of the Iframe node; rendering picks them up via _isIframeRoot.
-  const iframeNodes = [];
-  collectIframeNodes(root, iframeNodes);
-  for (const iframeNode of iframeNodes) {
-    const subtree = await fetchIframeSubtree(client, iframeNode.backendDOMNodeId);
-    if (subtree) iframeNode.children.push(subtree);
+  let trimmed = false;
+  if (opts.maxTokens && estimateTokens(items) > opts.maxTokens) {
+    items = fitToBudget(items, opts.maxTokens, refs, state);
+    trimmed = true;
+  }
+
+  const refCache = { ...retained, ...refs };
+  if (opts.format === 'json') {
+    return { tree: formatJson(items), refs, refCache, nodes, trimmed };
+  }
+  const tree = formatText(items).join('\n') || '(empty page)';
+  return { tree, refs, refCache, nodes, trimmed };
+}
+
+/** Roles that give useful "where is it" context in find results */
+const CONTEXT_ROLES = new Set([
+  'dialog', 'alertdialog', 'form', 'navigation', 'main', 'banner',
+  'contentinfo', 'complementary', 'region', 'search', 'article', 'Iframe',
+]);
+
+/**
+ * Describe where a match sits: its nearest named or landmark ancestor,
+ * e.g. `dialog "Edit profile"`.
+ */
+function ancestorContext(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const a = ancestors[i];
+    if (a.rawRole === 'RootWebArea' || a.role === 'text') continue;
+    if (a.name || CONTEXT_ROLES.has(a.role) || CONTEXT_ROLES.has(a.rawRole)) {
+      const name = a.name ? ` "${a.name}"` : '';
+      const url = a.frameUrl ? ` [url=${a.frameUrl}]` : '';
+      return `${a.role}${name}${url}`;
+    }
   }
+  return '';
+}
 
+/** Roles of inline wrappers that text matches are reported past */
+const TEXT_WRAPPER_ROLES = new Set(['generic', 'none', 'presentation', 'strong', 'emphasis']);
+
+/**
+ * The element a text node belongs to: its parent, or further up while the
+ * parent is an unnamed wrapper holding nothing but this text (the `<span>`
+ * in `<button><span>Save</span></button>`). Null for text directly in the
+ * document.
+ */
+function textOwner(ancestors, text) {
+  let i = ancestors.length - 1;
+  const isBareWrapper = (a) => TEXT_WRAPPER_ROLES.has(a.role) && !a.name && collectText(a).trim() === text;
+  while (i > 1 && isBareWrapper(ancestors[i]) && ancestors[i - 1].rawRole !== 'RootWebArea') i--;
+  const owner = ancestors[i];
+  return owner && owner.rawRole !== 'RootWebArea' ? owner : null;
+}
+
+/**
+ * Find elements by accessible name (or text) and role without rendering a
+ * snapshot. Searches the same tree as `getSnapshot`, iframes included.
+ * Text matches are reported on the element containing the text, past bare
+ * inline wrappers, and not at all when the text is part of the name of an
+ * ancestor that already matched. Matches get refs the same way snapshot
+ * refs are assigned, so they stay stable.
+ * @param {CDP.Client} client
+ * @param {string} [query] - Text to look for (case-insensitive substring, or exact with `exact`); omit to match by role only
+ * @param {object} opts - {role?: string, roles?: Set<string>, exact?: boolean, frameDepth?: number, knownRefs?: object}
+ * @returns {Promise<{matches: Array<{ref: string, role: string, name: string, context: string}>, refs: object, refCache: object}>}
+ */
+export async function findNodes(client, query, opts = {}) {
+  const root = await loadTree(client, opts);
+  const { state, retained } = await refState(client, opts.knownRefs);
   const refs = {};
-  const counter = { n: 0 };
-  const lines = renderNode(root, refs, opts, 0, counter);
+  const matches = [];
+  if (!root) return { matches, refs, refCache: retained };
+
+  const needle = opts.exact || query === undefined ? query : query.toLowerCase();
+  const isMatch = (text) => {
+    if (needle === undefined) return true;
+    text = text.trim();
+    return opts.exact ? text === needle : text.toLowerCase().includes(needle);
+  };
+  const roleOk = (node) => (!opts.role || node.role === opts.role) && (!opts.roles || opts.roles.has(node.role));
+
+  const seen = new Set();
+  const nameMatched = new Set();
+  const visit = (node, ancestors) => {
+    if (SKIP_ROLES.has(node.rawRole) && node.rawRole !== 'RootWebArea') return;
+    let target = null;
+    if (node.role === 'text') {
+      // Report text on its element, unless it's part of the name of an
+      // ancestor that already matched (the text of `button "Save"`)
+      const text = node.name.trim();
+      if (query !== undefined && isMatch(node.name) && !ancestors.some(a => nameMatched.has(a) && a.name.includes(text))) {
+        target = textOwner(ancestors, text);
+      }
+    } else if (node.rawRole !== 'RootWebArea' && (query === undefined || (node.name && isMatch(node.name)))) {
+      target = node;
+      if (query !== undefined) nameMatched.add(node);
+    }
+    if (target && !seen.has(target) && roleOk(target)) {
+      seen.add(target);
+      const i = ancestors.indexOf(target);
+      const context = ancestorContext(i === -1 ? ancestors : ancestors.slice(0, i));
+      matches.push({ ref: assignRef(target, refs, state), role: target.role, name: target.name || collectText(target).trim(), context });
+    }
+    for (const child of node.children) visit(child, [...ancestors, node]);
+  };
+  visit(root, []);
 
-  const tree = lines.join('\n') || '(empty page)';
-  return { tree, refs };
+  return { matches, refs, refCache: { ...retained, ...refs } };
 }
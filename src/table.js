@@ -0,0 +1,222 @@
+/**
+ * Table extraction — turns a <table> or ARIA table/grid/treegrid into rows
+ * keyed by column header, as CSV, JSON or Markdown.
+ *
+ * Cells spanning rows or columns (colspan/rowspan, aria-colspan/rowspan)
+ * are expanded into every position they cover, so stacked header rows
+ * ("Q1" over "Revenue" and "Cost") become column names like "Q1 / Revenue".
+ * Paginated grids can be followed by clicking a "next" locator until it
+ * disappears or is disabled.
+ */
+import { resolveRef, click, callOnNode } from './actions.js';
+
+/**
+ * In-page extractor, called on the table element, an element inside it (a
+ * cell or row) or an element containing one. Returns {headers: string[],
+ * rows: string[][]}.
+ */
+const EXTRACT = `function() {
+  const TABLE_ROLES = '[role="table"], [role="grid"], [role="treegrid"]';
+  const CELL_ROLES = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+
+  // The table itself, the table a cell or row is in, or one inside the element
+  const table = this.closest('table, ' + TABLE_ROLES) || this.querySelector('table, ' + TABLE_ROLES);
+  if (!table) throw new Error('Element is not a table or grid, is not inside one, and does not contain one');
+
+  const text = el => (el.innerText || el.textContent || '').replace(/\\s+/g, ' ').trim();
+  const span = (el, attr, aria) => {
+    const n = parseInt(el.getAttribute(attr) || el.getAttribute(aria) || '1', 10);
+    return n > 0 ? Math.min(n, 1000) : 1;
+  };
+
+  let rowEls;
+  let cellsOf;
+  let isHeader;
+  if (table.tagName === 'TABLE') {
+    rowEls = Array.from(table.rows);
+    cellsOf = row => Array.from(row.cells);
+    isHeader = cell => cell.tagName === 'TH' || cell.getAttribute('role') === 'columnheader';
+  } else {
+    rowEls = Array.from(table.querySelectorAll('[role="row"]')).filter(r => r.closest(TABLE_ROLES) === table);
+    cellsOf = row => Array.from(row.querySelectorAll(CELL_ROLES)).filter(c => c.closest('[role="row"]') === row);
+    isHeader = cell => cell.getAttribute('role') === 'columnheader';
+  }
+
+  // Lay cells out on a grid, copying spanned cells into every slot they cover
+  const grid = [];
+  const inHead = [];
+  rowEls.forEach((row, r) => {
+    grid[r] = grid[r] || [];
+    inHead[r] = !!row.closest('thead');
+    let c = 0;
+    for (const cell of cellsOf(row)) {
+      while (grid[r][c] !== undefined) c++;
+      const colspan = span(cell, 'colspan', 'aria-colspan');
+      const rowspan = Math.min(span(cell, 'rowspan', 'aria-rowspan'), rowEls.length - r);
+      const value = { text: text(cell), header: isHeader(cell) };
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) grid[r + dr][c + dc] = value;
+      }
+      c += colspan;
+    }
+  });
+
+  // Header rows: leading rows in <thead> or made only of header cells
+  let headerCount = 0;
+  while (headerCount < grid.length) {
+    const row = grid[headerCount].filter(Boolean);
+    if (row.length === 0 || !(inHead[headerCount] || row.every(cell => cell.header))) break;
+    headerCount++;
+  }
+
+  const width = Math.max(0, ...grid.map(row => row.length));
+  const headers = [];
+  for (let c = 0; c < width; c++) {
+    const parts = [];
+    for (let r = 0; r < headerCount; r++) {
+      const t = grid[r][c]?.text;
+      if (t && parts[parts.length - 1] !== t) parts.push(t);
+    }
+    headers.push(parts.join(' / '));
+  }
+
+  const rows = grid.slice(headerCount)
+    .map(row => Array.from({ length: width }, (_, c) => row[c]?.text || ''))
+    .filter(row => row.some(Boolean));
+  return { headers, rows };
+}`;
+
+/**
+ * Read one table.
+ * @param {CDP.Client} client
+ * @param {object} ref - Ref cache entry for the table (or an element containing one)
+ * @returns {Promise<{headers: string[], rows: string[][]}>}
+ */
+export async function readTable(client, ref) {
+  return callOnNode(client, ref, EXTRACT);
+}
+
+/**
+ * Name the columns: header text, "Column N" where there is none, and a
+ * " (2)" suffix for repeated names so every key is unique.
+ * @param {string[]} headers
+ * @returns {string[]}
+ */
+export function columnNames(headers) {
+  const seen = new Map();
+  return headers.map((h, i) => {
+    const base = h || `Column ${i + 1}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n === 1 ? base : `${base} (${n})`;
+  });
+}
+
+/**
+ * Convert rows to objects keyed by column name.
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ * @returns {object[]}
+ */
+export function toRecords(headers, rows) {
+  const names = columnNames(headers);
+  return rows.map(row => Object.fromEntries(names.map((name, i) => [name, row[i] ?? ''])));
+}
+
+function csvField(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function mdField(value) {
+  return value.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Format a table as csv, json or md.
+ * @param {{headers: string[], rows: string[][]}} table
+ * @param {'csv'|'json'|'md'} format
+ * @returns {string}
+ */
+export function formatTable(table, format) {
+  const names = columnNames(table.headers);
+  if (format === 'json') return JSON.stringify(toRecords(table.headers, table.rows), null, 2);
+  if (format === 'md') {
+    const line = cells => `| ${cells.map(mdField).join(' | ')} |`;
+    return [line(names), `|${' --- |'.repeat(names.length)}`, ...table.rows.map(line)].join('\n');
+  }
+  return [names, ...table.rows].map(row => row.map(csvField).join(',')).join('\n');
+}
+
+/** Pagination limits for --all-pages */
+const PAGE_WAIT_MS = 5000;
+const PAGE_POLL_MS = 200;
+
+/** "Next" controls tried in order when --next isn't given: buttons, then links */
+export const DEFAULT_NEXT = ['role=button[name=next]', 'role=link[name=next]'];
+
+/**
+ * Find the "next" control: the first of `locators` that matches. Returns
+ * that locator, or null when there's no next page (nothing matches, or the
+ * control is disabled).
+ */
+async function nextControl(client, port, targetId, locators, agentId) {
+  for (const locator of locators) {
+    let ref;
+    try {
+      ref = await resolveRef(client, port, targetId, locator, agentId);
+    } catch (err) {
+      // Gone means last page; an ambiguous locator is the caller's to fix
+      if (err.count === 0) continue;
+      throw err;
+    }
+    const disabled = await callOnNode(client, ref, `function() {
+      return this.disabled === true || this.getAttribute('aria-disabled') === 'true';
+    }`);
+    return disabled ? null : locator;
+  }
+  return null;
+}
+
+/**
+ * Read a table across pages: read, click the next control, wait for the rows
+ * to change, repeat — until the next control is gone or disabled, the rows
+ * stop changing, or `maxPages` is reached.
+ * @param {CDP.Client} client
+ * @param {number} port
+ * @param {string} targetId
+ * @param {string} refArg - Table ref or locator
+ * @param {object} opts - {next?: string (locator, default DEFAULT_NEXT), maxPages: number, actionTimeout?: number (ms, for clicking next)}
+ * @param {string} [agentId]
+ * @returns {Promise<{headers: string[], rows: string[][], pages: number}>}
+ */
+export async function readAllPages(client, port, targetId, refArg, opts, agentId) {
+  let table = await readTable(client, await resolveRef(client, port, targetId, refArg, agentId));
+  const rows = [...table.rows];
+  let pages = 1;
+
+  while (pages < opts.maxPages) {
+    const next = await nextControl(client, port, targetId, opts.next ? [opts.next] : DEFAULT_NEXT, agentId);
+    if (!next) break;
+    const before = JSON.stringify(table.rows);
+    await click(client, port, targetId, next, agentId, { timeout: opts.actionTimeout });
+
+    // Wait for the grid to re-render with new rows
+    const deadline = Date.now() + PAGE_WAIT_MS;
+    let changed = false;
+    while (Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, PAGE_POLL_MS));
+      // The table element itself may be replaced — resolveRef re-locates it
+      table = await readTable(client, await resolveRef(client, port, targetId, refArg, agentId));
+      if (JSON.stringify(table.rows) !== before) {
+        changed = true;
+        break;
+      }
+    }
+    if (!changed) break;
+    rows.push(...table.rows);
+    pages++;
+  }
+
+  return { headers: table.headers, rows, pages };
+}
@@ -99,3 +99,25 @@ export async function resolveTab(port, tabArg, agentId) {
   saveTabMap(port, map, agentId);
   return { targetId: first.targetId, shortId: first.shortId };
 }
+
+/**
+ * Remember the current tabs, to report the ones a click opens (Ctrl/Cmd-click,
+ * middle click, target=_blank). Returns a function that waits up to `waitMs`
+ * for new tabs and returns them with fresh short IDs.
+ * @param {number} port
+ * @param {string} [agentId]
+ * @returns {Promise<function(number=): Promise<Array<{shortId: string, targetId: string, title: string, url: string}>>>}
+ */
+export async function watchNewTabs(port, agentId) {
+  const before = new Set((await listTargets(port)).map(t => t.id));
+  return async (waitMs = 1000) => {
+    const deadline = Date.now() + waitMs;
+    while (Date.now() < deadline) {
+      const targets = await listTargets(port);
+      if (targets.some(t => !before.has(t.id))) break;
+      await new Promise(r => setTimeout(r, 100));
+    }
+    const { tabs } = await getTabs(port, agentId);
+    return tabs.filter(t => !before.has(t.targetId));
+  };
+}
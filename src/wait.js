@@ -0,0 +1,199 @@
+/**
+ * Wait conditions for the `wait` command — poll the page until every
+ * condition holds, or fail once the time runs out:
+ *
+ *   text      visible text on the page contains a string
+ *   gone      a ref or locator's element is removed or hidden
+ *   selector  a CSS selector matches a visible element
+ *   url       the page URL matches a glob (`*` any run of characters, `?` one)
+ *   load      document load state: domcontentloaded, load or networkidle
+ *   fn        a JS expression (or a function it evaluates to) is truthy;
+ *             a Promise counts by what it resolves to
+ *
+ * Network idle is tracked live from Network domain events on the same
+ * connection: the page must be loaded and have had no request in flight
+ * for NETWORK_IDLE_MS. Requests already running when `wait` starts aren't
+ * seen.
+ */
+import { resolveRef, callOnNode } from './actions.js';
+import { parseLocator } from './locators.js';
+
+const POLL_MS = 100;
+export const NETWORK_IDLE_MS = 500;
+export const LOAD_STATES = ['domcontentloaded', 'load', 'networkidle'];
+
+/** Visible: connected, with a size, and not hidden by CSS */
+const IS_VISIBLE = `function(el) {
+  if (!el || !el.isConnected) return false;
+  const r = el.getBoundingClientRect();
+  if (r.width === 0 || r.height === 0) return false;
+  return el.checkVisibility
+    ? el.checkVisibility({ visibilityProperty: true })
+    : getComputedStyle(el).visibility !== 'hidden';
+}`;
+
+/**
+ * Convert a URL glob to a RegExp matching the whole URL.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Describe a condition for messages, e.g. `text "Saved"`.
+ * @param {{kind: string, value: string}} condition
+ * @returns {string}
+ */
+export function describeCondition({ kind, value }) {
+  switch (kind) {
+    case 'text': return `text "${value}"`;
+    case 'gone': return `${value} to be gone`;
+    case 'selector': return `selector "${value}"`;
+    case 'url': return `URL matching "${value}"`;
+    case 'load': return `load state ${value}`;
+    case 'fn': return `${value} to be truthy`;
+    default: return kind;
+  }
+}
+
+/**
+ * Evaluate an expression in the page. Returns {value} or {error}; errors
+ * while the page is navigating count as "not yet".
+ */
+async function evaluate(client, expression) {
+  try {
+    const { result, exceptionDetails } = await client.Runtime.evaluate({
+      expression,
+      returnByValue: true,
+      awaitPromise: true,
+    });
+    if (exceptionDetails) {
+      return { error: exceptionDetails.exception?.description?.split('\n')[0] || exceptionDetails.text };
+    }
+    return { value: result.value };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Count in-flight requests from Network events.
+ */
+async function trackNetwork(client) {
+  const inflight = new Set();
+  let idleSince = Date.now();
+  const done = ({ requestId }) => {
+    if (inflight.delete(requestId) && inflight.size === 0) idleSince = Date.now();
+  };
+  client.on('Network.requestWillBeSent', ({ requestId }) => inflight.add(requestId));
+  client.on('Network.loadingFinished', done);
+  client.on('Network.loadingFailed', done);
+  await client.Network.enable();
+  return {
+    get inflight() { return inflight.size; },
+    idleFor: () => (inflight.size > 0 ? 0 : Date.now() - idleSince),
+  };
+}
+
+/**
+ * Check one condition. Returns {met, state?} where state describes what
+ * was seen instead, for the timeout message.
+ */
+async function check(client, port, targetId, condition, network, agentId) {
+  const { kind, value } = condition;
+
+  if (kind === 'text') {
+    const r = await evaluate(client, `!!document.body && document.body.innerText.includes(${JSON.stringify(value)})`);
+    return { met: r.value === true, state: r.error };
+  }
+
+  if (kind === 'gone') {
+    let ref;
+    try {
+      ref = await resolveRef(client, port, targetId, value, agentId, { heal: false });
+    } catch (err) {
+      // A locator with no matches is gone; with several it's still there
+      if (parseLocator(value) && err.count === 0) return { met: true };
+      if (parseLocator(value) && err.count > 1) return { met: false, state: `${err.count} elements match` };
+      throw err;
+    }
+    try {
+      const visible = await callOnNode(client, ref, `function() {
+        return (${IS_VISIBLE})(this.nodeType === Node.ELEMENT_NODE ? this : this.parentElement);
+      }`);
+      return { met: !visible };
+    } catch {
+      // Can't be resolved any more: removed from the DOM
+      return { met: true };
+    }
+  }
+
+  if (kind === 'selector') {
+    const r = await evaluate(client, `(${IS_VISIBLE})(document.querySelector(${JSON.stringify(value)}))`);
+    if (r.error && /not a valid selector/.test(r.error)) throw new Error(`Invalid selector "${value}": ${r.error}`);
+    return { met: r.value === true, state: r.error };
+  }
+
+  if (kind === 'url') {
+    const r = await evaluate(client, 'location.href');
+    return { met: r.value !== undefined && condition.pattern.test(r.value), state: r.value && `at ${r.value}` };
+  }
+
+  if (kind === 'load') {
+    const r = await evaluate(client, 'document.readyState');
+    const state = r.value || 'loading';
+    if (value === 'domcontentloaded') return { met: state !== 'loading', state };
+    if (value === 'load' || state !== 'complete') return { met: state === 'complete', state };
+    return { met: network.idleFor() >= NETWORK_IDLE_MS, state: `${network.inflight} request${network.inflight === 1 ? '' : 's'} in flight` };
+  }
+
+  if (kind === 'fn') {
+    const r = await evaluate(client, `(async () => {
+      const v = (${value});
+      return !!(await (typeof v === 'function' ? v() : v));
+    })()`);
+    return { met: r.value === true, state: r.error };
+  }
+
+  throw new Error(`Unknown wait condition: ${kind}`);
+}
+
+/**
+ * Poll until every condition holds.
+ * @param {CDP.Client} client
+ * @param {number} port
+ * @param {string} targetId
+ * @param {Array<{kind: 'text'|'gone'|'selector'|'url'|'load'|'fn', value: string}>} conditions
+ * @param {object} opts - {timeout: number (ms, Infinity for none)}
+ * @param {string} [agentId]
+ * @returns {Promise<{elapsed: number}>}
+ */
+export async function waitFor(client, port, targetId, conditions, opts, agentId) {
+  conditions = conditions.map(c => (c.kind === 'url' ? { ...c, pattern: globToRegExp(c.value) } : c));
+  const network = conditions.some(c => c.kind === 'load' && c.value === 'networkidle')
+    ? await trackNetwork(client)
+    : null;
+
+  const start = Date.now();
+  for (;;) {
+    const pending = [];
+    for (const condition of conditions) {
+      const result = await check(client, port, targetId, condition, network, agentId);
+      if (!result.met) pending.push({ condition, state: result.state });
+    }
+    if (pending.length === 0) return { elapsed: Date.now() - start };
+
+    if (Date.now() - start >= opts.timeout) {
+      const { condition, state } = pending[0];
+      const seconds = ((Date.now() - start) / 1000).toFixed(1);
+      throw new Error(`Timed out after ${seconds}s waiting for ${describeCondition(condition)}${state ? ` (${state})` : ''}. Use --timeout <seconds> to wait longer.`);
+    }
+    await new Promise(r => setTimeout(r, POLL_MS));
+  }
+}
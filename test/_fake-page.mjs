@@ -0,0 +1,46 @@
+/**
+ * Fake CDP client shared by the tests that don't need a running Chrome.
+ * It serves a fixed accessibility tree for a page whose main document is
+ * DOC_ID; tests add whatever other domain methods they exercise.
+ */
+
+/** The main frame's loaderId — what refs record as their `doc` */
+export const DOC_ID = 'L1';
+
+/**
+ * Build an AX node as Accessibility.getFullAXTree returns it. The id doubles
+ * as the backendDOMNodeId.
+ * @param {number} id
+ * @param {string} role - CDP role, e.g. 'button' or 'StaticText'
+ * @param {string} name
+ * @param {number[]} [childIds]
+ * @param {object} [extra] - More fields, e.g. {properties} or {value}
+ */
+export function ax(id, role, name, childIds = [], extra = {}) {
+  return {
+    nodeId: String(id),
+    role: { value: role },
+    name: { value: name },
+    childIds: childIds.map(String),
+    backendDOMNodeId: id,
+    ...extra,
+  };
+}
+
+/**
+ * A fake client serving `nodes` as the page's AX tree.
+ * @param {object[]} nodes - AX nodes, root first
+ * @param {object} [domains] - Extra methods per domain, e.g. {Runtime: {evaluate}},
+ *   merged over the defaults
+ */
+export function fakeClient(nodes, domains = {}) {
+  const client = {
+    Accessibility: { getFullAXTree: async () => ({ nodes }) },
+    DOM: { getDocument: async () => ({ root: { nodeId: 1, backendNodeId: 1, children: [] } }) },
+    Page: { getFrameTree: async () => ({ frameTree: { frame: { id: 'F', loaderId: DOC_ID, url: 'https://example.com/' } } }) },
+  };
+  for (const [domain, methods] of Object.entries(domains)) {
+    client[domain] = { ...client[domain], ...methods };
+  }
+  return client;
+}
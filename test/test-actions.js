@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Test actionability checks for `check`/`uncheck` on a native checkbox
+ * hidden behind a styled label.
+ * This doesn't need a running Chrome — the in-page checks run on a fake
+ * element.
+ */
+
+import { check, uncheck } from '../src/actions.js';
+import { ax, fakeClient } from './_fake-page.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const Node = { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+
+// <label><input type="checkbox" style="opacity: 0; width: 0; height: 0"> Remember me</label>
+const checkbox = {
+  nodeType: Node.ELEMENT_NODE,
+  isConnected: true,
+  checked: false,
+  getBoundingClientRect: () => ({ x: 0, y: 0, width: 0, height: 0 }),
+  checkVisibility: () => false,
+  matches: () => false,
+  closest: () => null,
+  click() { this.checked = !this.checked; },
+};
+
+/** Run in-page functions on the checkbox */
+const client = fakeClient([
+  ax(1, 'RootWebArea', 'Sign in', [2]),
+  ax(2, 'checkbox', 'Remember me'),
+], {
+  DOM: { resolveNode: async () => ({ object: { objectId: 'checkbox' } }) },
+  Runtime: {
+    callFunctionOn: async ({ functionDeclaration, arguments: args = [] }) => {
+      const fn = new Function('Node', 'getComputedStyle', `return ${functionDeclaration}`)(Node, () => ({ visibility: 'visible' }));
+      return { result: { value: await fn.apply(checkbox, args.map(a => a.value)) } };
+    },
+    releaseObject: async () => ({}),
+  },
+});
+
+const locator = 'role=checkbox[name="Remember me"]';
+
+// ── Test 1: Hidden native checkbox ───────────────────────────────
+
+console.log('\nTest 1: Hidden native checkbox');
+
+try {
+  await check(client, 0, 'TARGET', locator, undefined, { timeout: 300 });
+  assert(checkbox.checked, 'check works without waiting for it to be visible');
+  await uncheck(client, 0, 'TARGET', locator, undefined, { timeout: 300 });
+  assert(!checkbox.checked, 'uncheck works without waiting for it to be visible');
+} catch (err) {
+  assert(false, `check and uncheck work on it (${err.message})`);
+}
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
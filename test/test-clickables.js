@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Test clickable detection (`snapshot --cursor`).
+ * This doesn't need a running Chrome — it snapshots fake accessibility
+ * trees with fake click listeners and pointer cursors.
+ */
+
+import { getSnapshot } from '../src/snapshot.js';
+import { ax, fakeClient as fakePage } from './_fake-page.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+/**
+ * A fake client: `listeners` are backendNodeIds with a click listener,
+ * `pointers` have `cursor: pointer`, and `roots` are the document, <html>
+ * and <body>.
+ */
+function fakeClient(nodes, { listeners = [], pointers = [], roots = [] }) {
+  const arrays = { roots, pointers };
+  return fakePage(nodes, {
+    DOM: {
+      describeNode: async ({ objectId }) => ({ node: { backendNodeId: Number(objectId) } }),
+    },
+    DOMDebugger: {
+      getEventListeners: async () => ({ listeners: listeners.map(backendNodeId => ({ type: 'click', backendNodeId })) }),
+    },
+    Runtime: {
+      evaluate: async ({ expression }) => {
+        if (expression === 'document') return { result: { objectId: 'document' } };
+        return { result: { objectId: expression.includes('documentElement') ? 'roots' : 'pointers' } };
+      },
+      getProperties: async ({ objectId }) => ({
+        result: arrays[objectId].map((id, i) => ({ name: String(i), value: { objectId: String(id) } })),
+      }),
+      releaseObject: async () => ({}),
+      releaseObjectGroup: async () => ({}),
+    },
+  });
+}
+
+// ── Test 1: Delegated listener over clickable items ──────────────
+
+console.log('\nTest 1: Delegated listener over clickable items');
+
+// <ul onclick> with two pointer-cursor items, and a <div onclick> card
+const mail = await getSnapshot(fakeClient([
+  ax(1, 'RootWebArea', 'Mail', [2, 8]),
+  ax(2, 'list', '', [3, 5]),
+  ax(3, 'listitem', '', [4]),
+  ax(4, 'StaticText', 'Inbox'),
+  ax(5, 'listitem', '', [6]),
+  ax(6, 'StaticText', 'Sent'),
+  ax(8, 'generic', '', [9]),
+  ax(9, 'StaticText', 'Compose'),
+], { listeners: [2, 8], pointers: [3, 5] }), { cursor: true });
+
+assert(mail.tree.includes('clickable "Inbox"') && mail.tree.includes('clickable "Sent"'), 'both items are clickable');
+assert(!Object.values(mail.refs).some(r => r.backendDOMNodeId === 2), 'the list with the listener is not');
+assert(mail.tree.includes('clickable "Compose"'), 'a listener with no clickables inside is clickable');
+
+// ── Test 2: Page-wide and container listeners ────────────────────
+
+console.log('\nTest 2: Page-wide and container listeners');
+
+// A listener on <body>, and one on a feed of 60 paragraphs
+const feed = [];
+for (let i = 0; i < 60; i++) feed.push(ax(100 + 2 * i, 'paragraph', '', [101 + 2 * i]), ax(101 + 2 * i, 'StaticText', `Post ${i}`));
+const page = await getSnapshot(fakeClient([
+  ax(1, 'RootWebArea', 'News', [2]),
+  ax(2, 'generic', '', [3, 10]),
+  ax(3, 'paragraph', '', [4]),
+  ax(4, 'StaticText', 'Welcome'),
+  ax(10, 'generic', '', feed.filter(n => n.role.value === 'paragraph').map(n => Number(n.nodeId))),
+  ...feed,
+], { listeners: [1, 2, 10], roots: [1, 2] }), { cursor: true });
+
+const marked = (id) => Object.values(page.refs).some(r => r.backendDOMNodeId === id);
+assert(!marked(2), '<body> is not clickable');
+assert(!marked(10), 'the large feed is not clickable');
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
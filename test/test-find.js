@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Test `find` matching (findNodes) on text wrapped in inline elements.
+ * This doesn't need a running Chrome — it searches fake accessibility trees.
+ */
+
+import { findNodes } from '../src/snapshot.js';
+import { ax, fakeClient } from './_fake-page.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const client = fakeClient([
+  ax(1, 'RootWebArea', 'Shop', [2, 8, 12, 20]),
+  // <li><span><b>Free shipping</b></span></li>
+  ax(2, 'list', '', [3]),
+  ax(3, 'listitem', '', [4]),
+  ax(4, 'generic', '', [5]),
+  ax(5, 'generic', '', [6]),
+  ax(6, 'StaticText', 'Free shipping'),
+  // <dialog aria-label="Cart"><button><span>Checkout</span></button></dialog>
+  ax(8, 'dialog', 'Cart', [9]),
+  ax(9, 'button', 'Checkout', [10]),
+  ax(10, 'none', '', [11]),
+  ax(11, 'StaticText', 'Checkout'),
+  // <p>Read the <b>terms</b> first</p>
+  ax(12, 'paragraph', '', [13, 14, 16]),
+  ax(13, 'StaticText', 'Read the '),
+  ax(14, 'generic', '', [15]),
+  ax(15, 'StaticText', 'terms'),
+  ax(16, 'StaticText', ' first'),
+  // <div>Sale ends soon</div>
+  ax(20, 'generic', '', [21]),
+  ax(21, 'StaticText', 'Sale ends soon'),
+]);
+
+// ── Test 1: Text inside nested inline wrappers ───────────────────
+
+console.log('\nTest 1: Text inside nested inline wrappers');
+
+const shipping = (await findNodes(client, 'free shipping')).matches;
+assert(shipping.length === 1, 'one match');
+assert(shipping[0]?.role === 'listitem', 'reported on the list item, not the spans');
+
+// ── Test 2: Text that is a matched element's name ────────────────
+
+console.log('\nTest 2: Text that is a matched element\'s name');
+
+const checkout = (await findNodes(client, 'checkout')).matches;
+assert(checkout.length === 1 && checkout[0].role === 'button', 'only the button matches');
+assert(checkout[0]?.context === 'dialog "Cart"', 'context is the enclosing dialog');
+
+// ── Test 3: Wrapped text within a longer run ─────────────────────
+
+console.log('\nTest 3: Wrapped text within a longer run');
+
+const terms = await findNodes(client, 'terms');
+assert(terms.matches.length === 1 && terms.matches[0].role === 'paragraph', 'reported on the paragraph');
+assert(Object.keys(terms.refs).length === 1, 'no ref spent on the wrapper');
+
+// ── Test 4: Text directly in a top-level container ───────────────
+
+console.log('\nTest 4: Text directly in a top-level container');
+
+const sale = (await findNodes(client, 'sale ends')).matches;
+assert(sale.length === 1 && sale[0].role === 'generic' && sale[0].name === 'Sale ends soon', 'reported on its container');
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test the keyboard model: key lookup, chord parsing and the key events
+ * sent for presses and held keys.
+ * This doesn't need a running Chrome — events go to a fake client.
+ */
+
+import { lookupKey, parseChord, parseModifiers, pressKey, keyDown, keyUp, heldKeys, holdModifiers, releaseModifiers, typeKeys } from '../src/keyboard.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+/**
+ * Fake client recording key events; `platform` is navigator.platform.
+ */
+function fakeClient(platform = 'Linux x86_64') {
+  const events = [];
+  return {
+    events,
+    Runtime: { evaluate: async () => ({ result: { value: platform } }) },
+    Input: {
+      dispatchKeyEvent: async (params) => { events.push(params); },
+      insertText: async ({ text }) => { events.push({ type: 'insertText', text }); },
+    },
+  };
+}
+
+// ── Test 1: Key lookup ───────────────────────────────────────────
+
+console.log('\nTest 1: Key lookup');
+
+assert(lookupKey('PageDown').code === 'PageDown', 'named keys');
+assert(lookupKey('F12').code === 'F12', 'function keys');
+assert(lookupKey('esc').code === 'Escape' && lookupKey('ENTER').code === 'Enter', 'aliases and case-insensitive names');
+assert(lookupKey('KeyQ').code === 'KeyQ', 'codes');
+assert(lookupKey('!').code === 'Digit1' && lookupKey('!').shifted, 'shifted characters');
+assert(lookupKey('+').code === 'Equal', 'the main keyboard wins over the numpad');
+let threw = false;
+try { lookupKey('Hyper'); } catch { threw = true; }
+assert(threw, 'unknown keys throw');
+
+// ── Test 2: Chords ───────────────────────────────────────────────
+
+console.log('\nTest 2: Chords');
+
+const chord = parseChord('Control+Shift+K');
+assert(chord.modifiers.join() === 'Control,Shift' && chord.key === 'K', 'Control+Shift+K');
+assert(parseChord('Ctrl+K').key === 'k', 'a capital letter without Shift is the plain key');
+assert(parseChord('Meta++').key === '+' && parseChord('+').key === '+', 'a trailing + is the plus key');
+threw = false;
+try { parseChord('a+b'); } catch { threw = true; }
+assert(threw, 'only modifiers may come before the key');
+assert(parseModifiers('Ctrl,cmd, Shift').join() === 'Control,Meta,Shift', 'modifier lists with aliases');
+
+// ── Test 3: Key events ───────────────────────────────────────────
+
+console.log('\nTest 3: Key events');
+
+{
+  const client = fakeClient();
+  await pressKey(client, 'Control+Shift+K');
+  const types = client.events.map(e => `${e.type}:${e.key}`).join(' ');
+  assert(types === 'rawKeyDown:Control rawKeyDown:Shift rawKeyDown:K keyUp:K keyUp:Shift keyUp:Control', 'modifiers wrap the key');
+  const k = client.events[2];
+  assert(k.modifiers === 10 && k.windowsVirtualKeyCode === 75 && k.code === 'KeyK', 'key carries the modifier bits and key code');
+  assert(k.text === undefined, 'shortcuts send no text');
+}
+{
+  const client = fakeClient();
+  await pressKey(client, 'A');
+  assert(client.events[0].type === 'keyDown' && client.events[0].text === 'A' && client.events[0].modifiers === 8, 'A types A with Shift');
+}
+{
+  const client = fakeClient('MacIntel');
+  await pressKey(client, 'ControlOrMeta+a');
+  assert(client.events[0].key === 'Meta', 'ControlOrMeta is Meta on macOS');
+  assert(client.events[1].commands?.[0] === 'selectAll', 'macOS select-all sends the editing command');
+}
+
+// ── Test 4: Held keys ────────────────────────────────────────────
+
+console.log('\nTest 4: Held keys');
+
+{
+  const client = fakeClient();
+  await keyDown(client, 'Shift');
+  assert(heldKeys(client).join() === 'Shift', 'keydown holds the key');
+  const bits = await holdModifiers(client, ['Control']);
+  await releaseModifiers(client, ['Control']);
+  assert(bits === 10, 'held modifiers apply to later events');
+  await keyUp(client, 'Shift');
+  assert(heldKeys(client).length === 0 && client.events.at(-1).modifiers === 0, 'keyup releases it');
+}
+
+// ── Test 5: Typing key by key ────────────────────────────────────
+
+console.log('\nTest 5: Typing key by key');
+
+{
+  const client = fakeClient();
+  await typeKeys(client, 'Hi!\né');
+  const typed = client.events.filter(e => e.type === 'keyDown' || e.type === 'insertText').map(e => e.text);
+  assert(typed.join('|') === 'H|i|!|\r|é', 'every character is typed, newline as Enter');
+  const shift = client.events.findIndex(e => e.key === 'Shift');
+  assert(shift === 0 && client.events[1].key === 'H' && client.events[2].type === 'keyUp' && client.events[3].key === 'Shift', 'shifted characters hold Shift');
+  assert(client.events.at(-1).type === 'insertText', 'characters off the US layout are inserted');
+
+  const slow = fakeClient();
+  const start = Date.now();
+  await typeKeys(slow, 'abc', { delay: 50 });
+  assert(Date.now() - start >= 95, '--delay pauses between keys');
+}
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Test locator parsing (`role=…`, `text=…`, `label=…`, `css=…`, `xpath=…`).
+ * This doesn't need a running Chrome — it parses locator strings and
+ * resolves them against a fake accessibility tree.
+ */
+
+import { parseLocator, resolveLocator } from '../src/locators.js';
+import { ax, fakeClient } from './_fake-page.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// ── Test 1: Refs aren't locators ─────────────────────────────────
+
+console.log('\nTest 1: Refs aren\'t locators');
+
+assert(parseLocator('@e5') === null, '@e5 is not a locator');
+assert(parseLocator('e5') === null, 'e5 is not a locator');
+
+// ── Test 2: Role locators ────────────────────────────────────────
+
+console.log('\nTest 2: Role locators');
+
+const role = parseLocator('role=button[name="Submit"]');
+assert(role.kind === 'role' && role.role === 'button', 'role is parsed');
+assert(role.value === 'Submit' && role.exact === true, 'quoted name matches exactly');
+
+const loose = parseLocator('role=link[name=sign in]');
+assert(loose.value === 'sign in' && loose.exact === false, 'unquoted name matches a substring');
+
+const bare = parseLocator('role=navigation');
+assert(bare.role === 'navigation' && bare.value === undefined, 'role without a name');
+
+let threw = false;
+try { parseLocator('role=button[label="x"]'); } catch { threw = true; }
+assert(threw, 'malformed role locator throws');
+
+// ── Test 3: Text, label, css and xpath ───────────────────────────
+
+console.log('\nTest 3: Text, label, css and xpath');
+
+const text = parseLocator('text="Sign in"');
+assert(text.kind === 'text' && text.value === 'Sign in' && text.exact, 'text= with quotes');
+assert(parseLocator("label='Email'").value === 'Email', 'label= with single quotes');
+assert(parseLocator('css=#foo > .bar').value === '#foo > .bar', 'css= keeps the selector as is');
+assert(parseLocator('xpath=//button[@type="submit"]').value === '//button[@type="submit"]', 'xpath= keeps the expression as is');
+
+// ── Test 4: text= on text wrapped in an inline element ───────────
+
+console.log('\nTest 4: text= on text wrapped in an inline element');
+
+// <button><span>Save</span></button> <h2>Saved items</h2>
+const client = fakeClient([
+  ax(1, 'RootWebArea', 'Shop', [2, 5]),
+  ax(2, 'button', 'Save', [3]),
+  ax(3, 'none', '', [4]),
+  ax(4, 'StaticText', 'Save'),
+  ax(5, 'heading', 'Saved items', [6]),
+  ax(6, 'StaticText', 'Saved items'),
+]);
+
+let found = null;
+try { found = await resolveLocator(client, 'text="Save"'); } catch (err) { console.error(`    ${err.message}`); }
+assert(found?.backendDOMNodeId === 2, 'resolves to the button, not the span inside it');
+
+found = null;
+try { found = await resolveLocator(client, 'role=button[name="Save"]'); } catch (err) { console.error(`    ${err.message}`); }
+assert(found?.backendDOMNodeId === 2, 'role= still matches the button by name');
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
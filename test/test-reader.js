@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test `read` on web components: shadow trees, slotted content and slot
+ * fallbacks.
+ * This doesn't need a running Chrome — the extractor runs on a small fake
+ * DOM.
+ */
+
+import { readPage } from '../src/reader.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// ── Fake DOM ─────────────────────────────────────────────────────
+
+const Node = { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+
+function text(content) {
+  return { nodeType: Node.TEXT_NODE, textContent: content };
+}
+
+function el(tagName, childNodes = [], props = {}) {
+  return {
+    nodeType: Node.ELEMENT_NODE,
+    tagName,
+    childNodes,
+    get children() { return childNodes.filter(c => c.nodeType === Node.ELEMENT_NODE); },
+    getAttribute: () => null,
+    ...props,
+  };
+}
+
+function slot(fallback, assigned) {
+  return el('SLOT', fallback, { assignedNodes: () => assigned });
+}
+
+/** A client whose Runtime runs the extractor on `element` */
+function fakeClient(element) {
+  const globals = {
+    Node,
+    getComputedStyle: () => ({ display: 'block', visibility: 'visible' }),
+    document: { title: 'Shop' },
+  };
+  return {
+    DOM: { resolveNode: async () => ({ object: { objectId: 'host' } }) },
+    Runtime: {
+      callFunctionOn: async ({ functionDeclaration }) => {
+        const fn = new Function(...Object.keys(globals), `return ${functionDeclaration}`)(...Object.values(globals));
+        return { result: { value: fn.call(element) } };
+      },
+      releaseObject: async () => ({}),
+    },
+  };
+}
+
+// ── Test 1: Slotted light-DOM content ────────────────────────────
+
+console.log('\nTest 1: Slotted light-DOM content');
+
+// <product-card>
+//   #shadow-root: <h2>Lamp</h2> <slot>No description</slot> <slot name="price">Price on request</slot>
+//   <p>A warm <b>brass</b> desk lamp.</p>
+// </product-card>
+const description = el('P', [text('A warm '), el('B', [text('brass')]), text(' desk lamp.')]);
+const host = el('PRODUCT-CARD', [description], {
+  shadowRoot: {
+    childNodes: [
+      el('H2', [text('Lamp')]),
+      slot([text('No description')], [description]),
+      slot([text('Price on request')], []),
+    ],
+  },
+});
+
+const { markdown } = await readPage(fakeClient(host), { scope: { backendDOMNodeId: 1 } });
+assert(markdown.includes('## Lamp'), 'shadow tree content is read');
+assert(markdown.includes('A warm **brass** desk lamp.'), 'slotted content is read');
+assert(!markdown.includes('No description'), 'a filled slot\'s fallback is left out');
+assert(markdown.includes('Price on request'), 'an empty slot shows its fallback');
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Test snapshot diffing (`snapshot --diff`).
+ * This doesn't need a running Chrome — it snapshots fake accessibility trees.
+ */
+
+import { diffSnapshots, formatDiff, nodeOptions, optionChanges } from '../src/snapshot-diff.js';
+import { getSnapshot } from '../src/snapshot.js';
+import { ax, fakeClient } from './_fake-page.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+/** Take a snapshot of a fake page with the given AX nodes */
+async function snapshot(axNodes, opts = {}) {
+  return (await getSnapshot(fakeClient(axNodes), opts)).nodes;
+}
+
+const checkbox = (checked) => ax(12, 'checkbox', 'Remember me', [], {
+  properties: [{ name: 'checked', value: { value: checked } }],
+});
+
+// The rendered node lists — the same `nodes` the snapshot command saves
+const prev = await snapshot([
+  ax(1, 'RootWebArea', 'Profile', [10, 11, 12, 13]),
+  ax(10, 'heading', 'Profile', [], { properties: [{ name: 'level', value: { value: 1 } }] }),
+  ax(11, 'textbox', 'Email'),
+  checkbox('false'),
+  ax(13, 'button', 'Save'),
+]);
+
+// ── Test 1: Identical snapshots ──────────────────────────────────
+
+console.log('\nTest 1: Identical snapshots');
+
+const same = diffSnapshots(prev, prev);
+assert(same.added.length === 0 && same.removed.length === 0 && same.changed.length === 0, 'no changes reported');
+assert(formatDiff(same).endsWith('+0 −0 ~0'), 'summary line is +0 −0 ~0');
+
+// ── Test 2: Added, removed and changed nodes ─────────────────────
+
+console.log('\nTest 2: Added, removed and changed nodes');
+
+const next = await snapshot([
+  ax(1, 'RootWebArea', 'Profile', [11, 12, 13, 20]),
+  // ref renumbered but same element — only the value changed
+  ax(11, 'textbox', 'Email', [], { value: { value: 'a@b.co' } }),
+  checkbox('true'),
+  ax(13, 'button', 'Save'),
+  ax(20, 'StaticText', 'Saved!'),
+]);
+
+const d = diffSnapshots(prev, next);
+assert(d.added.length === 1 && d.added[0].key === '20', 'new text node is added');
+assert(d.removed.length === 1 && d.removed[0].key === '10', 'heading is removed');
+assert(d.changed.length === 2, 'two nodes changed');
+assert(d.changed[0].changes[0].field === 'value', 'textbox value change detected');
+assert(d.changed[1].changes[0].field === 'checked', 'checkbox checked change detected');
+assert(!d.changed.some(c => c.node.key === '13'), 'renumbered ref alone is not a change');
+
+const out = formatDiff(d);
+assert(out.includes('+ text: Saved!'), 'added line prefixed with +');
+assert(out.includes('- heading "Profile"'), 'removed line prefixed with -');
+assert(out.includes('~ textbox "Email" [ref=e1]: a@b.co  (value "" → "a@b.co")'), 'changed line shows old → new');
+assert(out.endsWith('+1 −1 ~2'), 'summary line is +1 −1 ~2');
+assert(!/^[-+~] - /m.test(out), 'list marker is not repeated after the diff marker');
+
+// ── Test 3: Baselines taken with different options ───────────────
+
+console.log('\nTest 3: Baselines taken with different options');
+
+const plain = nodeOptions({ interactive: false, compact: false, visible: true, format: 'json' });
+assert(Object.keys(plain).length === 0, 'defaults and output-only options are not recorded');
+assert(optionChanges(plain, nodeOptions({ visible: false, boxes: true })).length === 0, 'output-only options do not change the baseline');
+assert(optionChanges(plain, nodeOptions({ interactive: true, maxDepth: 3 })).join(' ') === '-i --depth', 'changed node options are named by flag');
+assert(optionChanges({ frameDepth: 2 }, nodeOptions({ frameDepth: 2, cursor: false })).length === 0, 'same options compare equal');
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Test table formatting (`table @eN --format csv|json|md`).
+ * This doesn't need a running Chrome — it formats hand-built tables and
+ * reads from a fake accessibility tree.
+ */
+
+import { columnNames, toRecords, formatTable, readAllPages } from '../src/table.js';
+import { getSnapshot } from '../src/snapshot.js';
+import { ax, fakeClient } from './_fake-page.mjs';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const table = {
+  headers: ['Name', 'Q1 / Revenue', 'Q1 / Revenue', ''],
+  rows: [
+    ['Ann', '1,000', '900', 'said "hi"'],
+    ['Bob | Jr', '20', '', ''],
+  ],
+};
+
+// ── Test 1: Column names ─────────────────────────────────────────
+
+console.log('\nTest 1: Column names');
+
+const names = columnNames(table.headers);
+assert(names[2] === 'Q1 / Revenue (2)', 'repeated header gets a suffix');
+assert(names[3] === 'Column 4', 'missing header gets a positional name');
+
+// ── Test 2: Records ──────────────────────────────────────────────
+
+console.log('\nTest 2: Records');
+
+const records = toRecords(table.headers, table.rows);
+assert(records.length === 2, 'one record per row');
+assert(records[0].Name === 'Ann' && records[0]['Q1 / Revenue (2)'] === '900', 'rows are keyed by column name');
+
+// ── Test 3: Output formats ───────────────────────────────────────
+
+console.log('\nTest 3: Output formats');
+
+const csv = formatTable(table, 'csv').split('\n');
+assert(csv[0] === 'Name,Q1 / Revenue,Q1 / Revenue (2),Column 4', 'csv header row');
+assert(csv[1] === 'Ann,"1,000",900,"said ""hi"""', 'csv quotes commas and quotes');
+
+const md = formatTable(table, 'md').split('\n');
+assert(md[1] === '| --- | --- | --- | --- |', 'md separator row');
+assert(md[3].startsWith('| Bob \\| Jr |'), 'md escapes pipes');
+
+assert(JSON.parse(formatTable(table, 'json'))[1].Name === 'Bob | Jr', 'json is an array of records');
+
+// ── Test 4: Tables in snapshots and pagination ───────────────────
+
+console.log('\nTest 4: Tables in snapshots and pagination');
+
+// An unnamed grid with a pager above and below it
+const client = fakeClient([
+  ax(1, 'RootWebArea', 'Orders', [2, 3, 4]),
+  ax(2, 'button', 'Next', []),
+  ax(3, 'grid', '', []),
+  ax(4, 'button', 'Next', []),
+], {
+  DOM: { resolveNode: async () => ({ object: { objectId: 'grid' } }) },
+  Runtime: {
+    callFunctionOn: async () => ({ result: { value: { headers: ['Order'], rows: [['1001']] } } }),
+    releaseObject: async () => ({}),
+  },
+});
+
+const { tree } = await getSnapshot(client, { compact: true });
+assert(/^- grid \[ref=e\d+\]$/m.test(tree), 'an unnamed grid gets a ref, even in compact mode');
+
+let pageError = null;
+try {
+  await readAllPages(client, 0, 'TARGET', 'role=grid', { next: 'role=button[name=next]', maxPages: 5 }, undefined);
+} catch (err) {
+  pageError = err;
+}
+assert(pageError?.count === 2, 'an ambiguous next locator is reported, not taken as the last page');
+
+// Link-based pagination: no "Next" button, so the "Next" link is used
+const checked = [];
+const linkPager = fakeClient([
+  ax(1, 'RootWebArea', 'Orders', [3, 5]),
+  ax(3, 'table', '', []),
+  ax(5, 'link', 'Next page', []),
+], {
+  DOM: { resolveNode: async ({ backendNodeId }) => ({ object: { objectId: String(backendNodeId) } }) },
+  Runtime: {
+    callFunctionOn: async ({ objectId, functionDeclaration }) => {
+      if (!functionDeclaration.includes('aria-disabled')) return { result: { value: { headers: ['Order'], rows: [['1001']] } } };
+      // The last page: the control is disabled
+      checked.push(Number(objectId));
+      return { result: { value: true } };
+    },
+    releaseObject: async () => ({}),
+  },
+});
+const result = await readAllPages(linkPager, 0, 'TARGET', 'role=table', { maxPages: 5 }, undefined);
+assert(checked.join() === '5' && result.pages === 1, 'without --next, a "Next" link is used when there is no button');
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test `wait` conditions: URL globs, and polling against a fake CDP client
+ * whose page changes over time (text appearing, network going idle, a
+ * `--fn` expression becoming truthy).
+ * This doesn't need a running Chrome.
+ */
+
+import { globToRegExp, waitFor, NETWORK_IDLE_MS } from '../src/wait.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+/**
+ * Fake client: `page` holds what Runtime.evaluate sees; `emit` fires CDP events.
+ */
+function fakeClient(page) {
+  const listeners = {};
+  return {
+    on(event, fn) { (listeners[event] ||= []).push(fn); },
+    emit(event, params) { for (const fn of listeners[event] || []) fn(params); },
+    Network: { enable: async () => {} },
+    Runtime: {
+      evaluate: async ({ expression }) => {
+        if (expression === 'location.href') return { result: { value: page.url } };
+        if (expression === 'document.readyState') return { result: { value: page.readyState } };
+        if (expression.startsWith('(async')) {
+          // A --fn check: run it here, with `page` standing in for the page
+          return { result: { value: await new Function('page', `return ${expression}`)(page) } };
+        }
+        if (expression.includes('innerText')) {
+          const text = JSON.parse(expression.match(/includes\((.*)\)$/)[1]);
+          return { result: { value: page.text.includes(text) } };
+        }
+        return { result: { value: undefined } };
+      },
+    },
+  };
+}
+
+const later = (ms, fn) => setTimeout(fn, ms);
+
+// ── Test 1: URL globs ────────────────────────────────────────────
+
+console.log('\nTest 1: URL globs');
+
+assert(globToRegExp('*/dashboard*').test('https://app.test/dashboard?tab=1'), '* matches any run of characters');
+assert(!globToRegExp('*/dashboard').test('https://app.test/dashboard/x'), 'globs match the whole URL');
+assert(globToRegExp('https://a.test/p?').test('https://a.test/p2'), '? matches one character');
+assert(!globToRegExp('https://a.test/*').test('https://aXtest/'), 'dots are literal');
+
+// ── Test 2: Text appears ─────────────────────────────────────────
+
+console.log('\nTest 2: Text appears');
+
+{
+  const page = { text: 'Saving…' };
+  const client = fakeClient(page);
+  later(250, () => { page.text = 'Saved'; });
+  const { elapsed } = await waitFor(client, 0, 't', [{ kind: 'text', value: 'Saved' }], { timeout: 2000 });
+  assert(elapsed >= 200 && elapsed < 1000, `resolves once the text shows up (${elapsed}ms)`);
+}
+
+// ── Test 3: Timeouts name the condition ──────────────────────────
+
+console.log('\nTest 3: Timeouts name the condition');
+
+{
+  const client = fakeClient({ url: 'https://app.test/login' });
+  try {
+    await waitFor(client, 0, 't', [{ kind: 'url', value: '*/dashboard*' }], { timeout: 300 });
+    assert(false, 'times out');
+  } catch (err) {
+    assert(/Timed out/.test(err.message), 'times out');
+    assert(err.message.includes('URL matching "*/dashboard*"'), 'names the condition');
+    assert(err.message.includes('at https://app.test/login'), 'reports the current URL');
+  }
+}
+
+// ── Test 4: Network idle ─────────────────────────────────────────
+
+console.log('\nTest 4: Network idle');
+
+{
+  const page = { readyState: 'complete' };
+  const client = fakeClient(page);
+  later(50, () => client.emit('Network.requestWillBeSent', { requestId: 'r1' }));
+  later(400, () => client.emit('Network.loadingFinished', { requestId: 'r1' }));
+  const { elapsed } = await waitFor(client, 0, 't', [{ kind: 'load', value: 'networkidle' }], { timeout: 3000 });
+  assert(elapsed >= 400 + NETWORK_IDLE_MS - 50, `waits ${NETWORK_IDLE_MS}ms past the last request (${elapsed}ms)`);
+
+  const busy = fakeClient(page);
+  later(50, () => busy.emit('Network.requestWillBeSent', { requestId: 'r2' }));
+  try {
+    await waitFor(busy, 0, 't', [{ kind: 'load', value: 'networkidle' }], { timeout: 600 });
+    assert(false, 'a hanging request keeps it busy');
+  } catch (err) {
+    assert(err.message.includes('1 request in flight'), 'a hanging request keeps it busy');
+  }
+}
+
+// ── Test 5: --fn with functions and Promises ─────────────────────
+
+console.log('\nTest 5: --fn with functions and Promises');
+
+{
+  const page = { count: 0 };
+  const client = fakeClient(page);
+  const timer = setInterval(() => page.count++, 50);
+  const { elapsed } = await waitFor(client, 0, 't', [{ kind: 'fn', value: '() => page.count >= 4' }], { timeout: 2000 });
+  clearInterval(timer);
+  assert(elapsed >= 150, `a function is called until it returns truthy (${elapsed}ms)`);
+}
+
+{
+  const page = { ready: false };
+  const client = fakeClient(page);
+  later(250, () => { page.ready = true; });
+  const { elapsed } = await waitFor(client, 0, 't', [{ kind: 'fn', value: 'Promise.resolve(page.ready)' }], { timeout: 2000 });
+  assert(elapsed >= 200, `a Promise counts by what it resolves to (${elapsed}ms)`);
+}
+
+{
+  const page = { ready: false };
+  const client = fakeClient(page);
+  try {
+    await waitFor(client, 0, 't', [{ kind: 'fn', value: 'async () => page.ready' }], { timeout: 300 });
+    assert(false, 'an async function resolving falsy keeps waiting');
+  } catch (err) {
+    assert(err.message.includes('async () => page.ready to be truthy'), 'an async function resolving falsy keeps waiting');
+  }
+}
+
+console.log(`\n${passed + failed} tests: ${passed} passed, ${failed} failed\n`);
+process.exit(failed > 0 ? 1 : 0);